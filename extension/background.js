@@ -1,3 +1,5 @@
+importScripts("i18n.js", "templates.js", "settings.js", "html-export.js", "json-export.js", "zip.js", "export.js");
+
 const configureActionRules = () => {
   chrome.action.disable();
   chrome.declarativeContent.onPageChanged.removeRules(undefined, () => {
@@ -14,5 +16,74 @@ const configureActionRules = () => {
   });
 };
 
-chrome.runtime.onInstalled.addListener(configureActionRules);
+const configureContextMenus = () => {
+  chrome.contextMenus.removeAll(() => {
+    const documentUrlPatterns = ["https://gemini.google.com/*"];
+    chrome.contextMenus.create({
+      id: "copy-markdown",
+      title: t("contextMenuCopy"),
+      contexts: ["page", "selection"],
+      documentUrlPatterns,
+    });
+    chrome.contextMenus.create({
+      id: "save-markdown",
+      title: t("contextMenuSave"),
+      contexts: ["page", "selection"],
+      documentUrlPatterns,
+    });
+  });
+};
+
+chrome.runtime.onInstalled.addListener(() => {
+  configureActionRules();
+  configureContextMenus();
+});
 chrome.runtime.onStartup.addListener(configureActionRules);
+
+chrome.commands.onCommand.addListener((command, tab) => {
+  runExportCommand(command, tab);
+});
+
+chrome.contextMenus.onClicked.addListener((info, tab) => {
+  runExportCommand(info.menuItemId, tab);
+});
+
+async function runExportCommand(command, tab) {
+  if (command !== "copy-markdown" && command !== "save-markdown") return;
+  if (!tab?.id || !tab.url?.startsWith("https://gemini.google.com/")) return;
+
+  try {
+    await notifyTab(tab.id, t("statusProcessing"));
+    const settings = await loadSettings();
+    const forClipboard = command === "copy-markdown";
+    const result = await extractFromTab(tab.id, await buildExtractionOptions(settings, { forClipboard }));
+
+    if (command === "copy-markdown") {
+      // Service Worker にはクリップボードがないため、ページ側でコピーする
+      await chrome.scripting.executeScript({
+        target: { tabId: tab.id },
+        func: writeToClipboard,
+        args: [result.markdown],
+      });
+      await notifyTab(tab.id, `${t("statusCopied")}${formatTurnCount(result)}${formatCanvasWarning(result)}${formatImageWarning(result)}`);
+    } else {
+      await saveExport(result, settings);
+      await notifyTab(tab.id, `${t("statusSaved")}${formatTurnCount(result)}${formatCanvasWarning(result)}${formatImageWarning(result)}`);
+    }
+  } catch (err) {
+    console.error(err);
+    await notifyTab(tab.id, err?.message ?? String(err), { error: true });
+  }
+}
+
+async function notifyTab(tabId, message, { error = false } = {}) {
+  try {
+    await chrome.scripting.executeScript({
+      target: { tabId },
+      func: showPageToast,
+      args: [message, { error }],
+    });
+  } catch (e) {
+    console.warn("Failed to show toast:", e);
+  }
+}
@@ -0,0 +1,106 @@
+// 複数スレッドの一括エクスポート（batch.js から使う）。
+// 進み具合と取得済みの結果は chrome.storage.local に保存し、失敗/中断したスレッドから再開できるようにする。
+// i18n.js, export.js, zip.js を先に読み込んでおくこと。DOM API には依存しない。
+
+const BATCH_JOB_STORAGE_KEY = "batchJob";
+
+// items[].status: "pending"（未処理） / "done"（取得済み） / "failed"（失敗。再開時にやり直す）
+function createBatchJob(conversations, now = new Date()) {
+  return {
+    createdAt: now.toISOString(),
+    items: conversations.map(({ title, url }) => ({ title, url, status: "pending", error: null, result: null })),
+  };
+}
+
+function getUnfinishedBatchItems(job) {
+  return job.items.filter((item) => item.status !== "done");
+}
+
+async function loadBatchJob() {
+  const { [BATCH_JOB_STORAGE_KEY]: job } = await chrome.storage.local.get(BATCH_JOB_STORAGE_KEY);
+  return job && Array.isArray(job.items) ? job : null;
+}
+
+async function saveBatchJob(job) {
+  await chrome.storage.local.set({ [BATCH_JOB_STORAGE_KEY]: job });
+}
+
+async function clearBatchJob() {
+  await chrome.storage.local.remove(BATCH_JOB_STORAGE_KEY);
+}
+
+// 取得済みのスレッドを Markdown ファイルにし、index.md と合わせて ZIP に入れるファイル一覧を作る。
+// 画像をアセットとして保存した場合は、スレッドごとに assets/<ファイル名>/ へ分ける。
+// labels は index.md の文言（出力言語のカタログ。loadOutputLabels の結果）
+function buildBatchZipEntries(job, { filenameTemplate, date = new Date(), labels }) {
+  const template = filenameTemplate.trim() || DEFAULT_SETTINGS.filenameTemplate;
+  const used = new Set(["index.md"]);
+  const paths = new Map();
+  const documents = [];
+  const assetFiles = [];
+
+  for (const item of job.items) {
+    if (item.status !== "done") continue;
+    const { markdown, title, assets = [] } = item.result;
+    const path = makeUniquePath(buildFilename(template, { title: title || item.title, date }), used);
+    const assetDir = `assets/${path.replace(/\.md$/, "").replace(/\//g, "_")}`;
+    paths.set(item, path);
+
+    let text = markdown;
+    for (const asset of assets) {
+      const assetPath = asset.path.replace(/^assets/, assetDir);
+      text = text.split(`](${asset.path})`).join(`](${encodeURI(relativeTo(path, assetPath))})`);
+      assetFiles.push({ path: assetPath, data: dataUriToBytes(asset.dataUri) });
+    }
+    documents.push({ path, data: text.endsWith("\n") ? text : `${text}\n` });
+  }
+
+  return [{ path: "index.md", data: renderBatchIndex(job, { date, paths, labels }) }, ...documents, ...assetFiles];
+}
+
+function renderBatchIndex(job, { date, paths, labels }) {
+  const text = createOutputText(labels);
+  const done = job.items.filter((item) => item.status === "done");
+  const others = job.items.filter((item) => item.status !== "done");
+  const escapeCell = (text) => String(text).replace(/\|/g, "\\|").replace(/\n/g, " ");
+  // リンクのテキストでは [ ] も閉じ括弧と区別できるようにする
+  const escapeLinkText = (text) => escapeCell(text).replace(/([\[\]])/g, "\\$1");
+  const lines = [
+    `# ${text("outputIndexTitle")}`,
+    "",
+    `- ${text("outputIndexExported", { date: date.toISOString() })}`,
+    `- ${text("outputIndexThreads", { done: done.length, total: job.items.length })}`,
+    "",
+    `| # | ${text("outputIndexTitleColumn")} | ${text("outputIndexTurnsColumn")} | ${text("outputIndexFileColumn")} |`,
+    "| --- | --- | --- | --- |",
+    ...done.map((item, i) => {
+      const path = paths.get(item);
+      const title = escapeLinkText(item.result.title || item.title);
+      return `| ${i + 1} | [${title}](${item.url}) | ${item.result.turnCount ?? ""} | [${escapeLinkText(path)}](${encodeURI(path)}) |`;
+    }),
+  ];
+  if (others.length > 0) {
+    lines.push("", `## ${text("outputIndexNotExported")}`, "");
+    for (const item of others) {
+      const reason =
+        item.status === "failed" ? item.error || text("outputIndexFailed") : text("outputIndexNotProcessed");
+      lines.push(`- [${escapeLinkText(item.title)}](${item.url}): ${reason}`);
+    }
+  }
+  return `${lines.join("\n")}\n`;
+}
+
+function makeUniquePath(path, used) {
+  let candidate = path;
+  for (let n = 2; used.has(candidate.toLowerCase()); n++) {
+    candidate = path.replace(/(\.[^./]+)?$/, ` (${n})$1`);
+  }
+  used.add(candidate.toLowerCase());
+  return candidate;
+}
+
+// from のファイルから見た to の相対パス（どちらも ZIP のルートからのパス）
+function relativeTo(from, to) {
+  const depth = from.split("/").length - 1;
+  return `${"../".repeat(depth)}${to}`;
+}
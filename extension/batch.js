@@ -0,0 +1,309 @@
+const resumeSection = document.getElementById("resumeSection");
+const resumeSummary = document.getElementById("resumeSummary");
+const resumeJobBtn = document.getElementById("resumeJob");
+const saveJobZipBtn = document.getElementById("saveJobZip");
+const discardJobBtn = document.getElementById("discardJob");
+const loadConversationsBtn = document.getElementById("loadConversations");
+const loadAllConversationsCheckbox = document.getElementById("loadAllConversations");
+const searchInput = document.getElementById("searchConversations");
+const selectMatchingBtn = document.getElementById("selectMatching");
+const clearSelectionBtn = document.getElementById("clearSelection");
+const conversationList = document.getElementById("conversationList");
+const startBatchBtn = document.getElementById("startBatch");
+const stopBatchBtn = document.getElementById("stopBatch");
+const progressSection = document.getElementById("progressSection");
+const batchItemsList = document.getElementById("batchItems");
+const statusDiv = document.getElementById("status");
+
+// ポップアップから開いた場合は、そのときの Gemini のタブを使う
+let workTabId = Number(new URLSearchParams(location.search).get("tabId")) || null;
+let job = null;
+let stopRequested = false;
+
+localizePage();
+
+function setStatus(message, { error = false } = {}) {
+  statusDiv.textContent = message;
+  statusDiv.className = error ? "error" : "";
+}
+
+document.addEventListener("DOMContentLoaded", async () => {
+  try {
+    job = await loadBatchJob();
+    renderResumeSection();
+  } catch (err) {
+    console.error(err);
+    setStatus(err?.message ?? String(err), { error: true });
+  }
+});
+
+loadConversationsBtn.addEventListener("click", async () => {
+  const loadAll = loadAllConversationsCheckbox.checked;
+  setStatus(t(loadAll ? "batchLoadingAll" : "statusLoading"));
+  try {
+    const tabId = await getWorkTab();
+    const result = await sendToContentScript(
+      tabId,
+      { type: "listConversations", options: { loadAll } },
+      loadAll ? 30_000 : 10_000
+    );
+    renderConversationList(result.conversations);
+    setStatus(t("batchConversationsFound", { count: result.conversations.length }));
+  } catch (err) {
+    console.error(err);
+    setStatus(err?.message ?? String(err), { error: true });
+  }
+});
+
+searchInput.addEventListener("input", () => {
+  const query = searchInput.value.trim().toLowerCase();
+  for (const item of conversationList.querySelectorAll(".conversation-item")) {
+    item.hidden = query !== "" && !item.dataset.title.toLowerCase().includes(query);
+  }
+});
+
+selectMatchingBtn.addEventListener("click", () => {
+  for (const item of conversationList.querySelectorAll(".conversation-item")) {
+    if (!item.hidden) item.querySelector("input").checked = true;
+  }
+});
+
+clearSelectionBtn.addEventListener("click", () => {
+  for (const box of conversationList.querySelectorAll("input")) box.checked = false;
+});
+
+startBatchBtn.addEventListener("click", async () => {
+  const selected = Array.from(conversationList.querySelectorAll(".conversation-item"))
+    .filter((item) => item.querySelector("input").checked)
+    .map((item) => ({ title: item.dataset.title, url: item.dataset.url }));
+  if (selected.length === 0) {
+    setStatus(t("batchNothingSelected"), { error: true });
+    return;
+  }
+  if (job && getUnfinishedBatchItems(job).length > 0) {
+    if (!window.confirm(t("batchConfirmOverwrite"))) return;
+  }
+  job = createBatchJob(selected);
+  await saveBatchJob(job);
+  await runBatch();
+});
+
+resumeJobBtn.addEventListener("click", () => runBatch());
+
+stopBatchBtn.addEventListener("click", () => {
+  stopRequested = true;
+  stopBatchBtn.disabled = true;
+  setStatus(t("batchStopping"));
+});
+
+saveJobZipBtn.addEventListener("click", async () => {
+  try {
+    await saveBatchZip();
+  } catch (err) {
+    console.error(err);
+    setStatus(err?.message ?? String(err), { error: true });
+  }
+});
+
+discardJobBtn.addEventListener("click", async () => {
+  await clearBatchJob();
+  job = null;
+  renderResumeSection();
+  progressSection.hidden = true;
+  setStatus(t("batchDiscarded"));
+});
+
+function renderConversationList(conversations) {
+  conversationList.textContent = "";
+  for (const conversation of conversations) {
+    const label = document.createElement("label");
+    label.className = "conversation-item";
+    label.dataset.title = conversation.title;
+    label.dataset.url = conversation.url;
+    label.title = conversation.url;
+
+    const checkbox = document.createElement("input");
+    checkbox.type = "checkbox";
+
+    const text = document.createElement("span");
+    text.textContent = conversation.current ? t("batchCurrentConversation", { title: conversation.title }) : conversation.title;
+
+    label.append(checkbox, text);
+    conversationList.appendChild(label);
+  }
+  searchInput.dispatchEvent(new Event("input"));
+}
+
+function renderResumeSection() {
+  const unfinished = job ? getUnfinishedBatchItems(job) : [];
+  resumeSection.hidden = !job;
+  if (!job) return;
+  const done = job.items.length - unfinished.length;
+  const failed = unfinished.filter((item) => item.status === "failed").length;
+  resumeSummary.textContent = t(failed > 0 ? "batchResumeSummaryFailed" : "batchResumeSummary", {
+    date: new Date(job.createdAt).toLocaleString(),
+    total: job.items.length,
+    done,
+    failed,
+  });
+  resumeJobBtn.hidden = unfinished.length === 0;
+  saveJobZipBtn.disabled = done === 0;
+}
+
+function renderBatchItems(current = null, currentText = "") {
+  progressSection.hidden = false;
+  batchItemsList.textContent = "";
+  for (const item of job.items) {
+    const li = document.createElement("li");
+    li.className = item === current ? "running" : item.status;
+
+    const link = document.createElement("a");
+    link.href = item.url;
+    link.target = "_blank";
+    link.textContent = item.title;
+
+    const state = document.createElement("span");
+    state.className = "state";
+    state.textContent = item === current ? currentText : formatBatchItemState(item);
+
+    li.append(link, state);
+    batchItemsList.appendChild(li);
+  }
+}
+
+function formatBatchItemState(item) {
+  if (item.status === "done") return t("batchItemDone", { count: item.result.turnCount });
+  if (item.status === "failed") return t("batchItemFailed", { error: item.error });
+  return t("batchItemPending");
+}
+
+function setRunning(running) {
+  for (const button of [startBatchBtn, resumeJobBtn, saveJobZipBtn, discardJobBtn, loadConversationsBtn]) {
+    button.disabled = running;
+  }
+  stopBatchBtn.hidden = !running;
+  stopBatchBtn.disabled = false;
+}
+
+// 未取得のスレッドを順に開いて抽出する。1件ごとに保存するため、途中で閉じても再開できる
+async function runBatch() {
+  stopRequested = false;
+  setRunning(true);
+  try {
+    const settings = await loadSettings();
+    // 一括エクスポートは Markdown ファイルとしてまとめる
+    const options = await buildExtractionOptions({ ...settings, exportFormat: "markdown" });
+    const tabId = await getWorkTab();
+
+    const pending = getUnfinishedBatchItems(job);
+    for (const [i, item] of pending.entries()) {
+      if (stopRequested) break;
+      setStatus(`${i + 1}/${pending.length}: ${item.title}`);
+      renderBatchItems(item, t("statusLoading"));
+      try {
+        const result = await exportConversation(tabId, item.url, options, {
+          onProgress: (progress) => renderBatchItems(item, formatProgress(progress)),
+        });
+        item.status = "done";
+        item.error = null;
+        item.result = {
+          title: result.title,
+          markdown: result.markdown,
+          assets: result.assets,
+          turnCount: result.turnCount,
+        };
+      } catch (err) {
+        console.error(err);
+        item.status = "failed";
+        item.error = err?.message ?? String(err);
+      }
+      await saveBatchJob(job);
+      renderBatchItems();
+    }
+
+    const unfinished = getUnfinishedBatchItems(job);
+    if (stopRequested) {
+      setStatus(t("batchStopped"));
+    } else if (unfinished.length === job.items.length) {
+      setStatus(t("batchAllFailed"), { error: true });
+    } else if (unfinished.length > 0) {
+      await saveBatchZip();
+      setStatus(t("batchSavedPartially", { count: unfinished.length }), { error: true });
+    } else {
+      await saveBatchZip();
+      setStatus(t("batchSaved", { count: job.items.length }));
+    }
+  } catch (err) {
+    console.error(err);
+    setStatus(err?.message ?? String(err), { error: true });
+  } finally {
+    setRunning(false);
+    renderResumeSection();
+  }
+}
+
+async function exportConversation(tabId, url, options, { onProgress }) {
+  await navigateTab(tabId, url);
+  await waitForConversation(tabId);
+  return extractFromTab(tabId, options, { onProgress });
+}
+
+// ページの読み込みが終わっても会話の描画は遅れるため、ターンが見つかるまで待つ
+async function waitForConversation(tabId, timeoutMs = 20_000) {
+  const start = Date.now();
+  let lastError = null;
+  while (Date.now() - start < timeoutMs) {
+    try {
+      const { turns } = await sendToContentScript(tabId, { type: "listTurns" }, 10_000);
+      if (turns.length > 0) return;
+    } catch (err) {
+      lastError = err;
+    }
+    await new Promise((r) => setTimeout(r, 1000));
+  }
+  throw lastError || new Error(t("batchConversationLoadFailed"));
+}
+
+async function navigateTab(tabId, url) {
+  const loaded = waitForTabComplete(tabId);
+  await chrome.tabs.update(tabId, { url });
+  await loaded;
+}
+
+function waitForTabComplete(tabId, timeoutMs = 30_000) {
+  let onUpdated;
+  const complete = new Promise((resolve) => {
+    onUpdated = (id, info) => {
+      if (id === tabId && info.status === "complete") resolve();
+    };
+    chrome.tabs.onUpdated.addListener(onUpdated);
+  });
+  return withTimeout(complete, timeoutMs, t("batchPageLoadTimeout")).finally(() =>
+    chrome.tabs.onUpdated.removeListener(onUpdated)
+  );
+}
+
+// 作業用の Gemini のタブ。閉じられていれば他の Gemini のタブを使い、なければ開く
+async function getWorkTab() {
+  if (workTabId) {
+    const tab = await chrome.tabs.get(workTabId).catch(() => null);
+    if (tab?.url?.startsWith("https://gemini.google.com/")) return workTabId;
+  }
+  const [existing] = await chrome.tabs.query({ url: "https://gemini.google.com/*" });
+  if (existing) {
+    workTabId = existing.id;
+    return workTabId;
+  }
+  const created = await chrome.tabs.create({ url: "https://gemini.google.com/app", active: false });
+  workTabId = created.id;
+  await waitForTabComplete(workTabId);
+  return workTabId;
+}
+
+async function saveBatchZip() {
+  const settings = await loadSettings();
+  const date = new Date();
+  const labels = await loadOutputLabels(settings.outputLanguage);
+  const zip = createZip(buildBatchZipEntries(job, { filenameTemplate: settings.filenameTemplate, date, labels }));
+  await downloadFile(zip, buildFilename("gemini-export_{date}_{time}", { title: "", date }, "zip"), "application/zip");
+}
@@ -1,4 +1,3097 @@
-// 現状は popup.js から chrome.scripting.executeScript で関数を注入して動かす構成です。
-// 将来的に自動実行やメッセージングに切り替える場合のために置いています。
-console.log("Gemini Thread to Markdown content script loaded.");
+// Gemini のページで会話を抽出する Content Script。
+// popup.js / background.js からはメッセージで呼び出す（export.js の sendToContentScript を参照）。
+//
+//   { type: "ping" }                          -> { ok: true }
+//   { type: "extract", requestId, options }   -> { markdown, title, thread, assets, failedImages, skippedCanvases, cancelled, turnCount, historyComplete }
+//   { type: "cancel", requestId }             -> { ok: true }（実行中の extract の古いターン・画像・Canvas の取得を打ち切る）
+//   { type: "listTurns", options }            -> { turns: [{ index, speaker, preview }] }
+//   { type: "listCanvases" }                  -> { canvases: ["app.js", ...] }
+//   { type: "listConversations", options }    -> { conversations: [{ title, url, current }] }（サイドバーの最近のチャット）
+//   { type: "testSiteProfile", profile }      -> { counts, turns, users, models }（セレクタを試し、一致した要素を枠で囲む）
+//   { type: "clearHighlights" }               -> { ok: true }
+//   { type: "diagnose" }                      -> { diagnostics }（診断レポート用。会話の内容は含めない）
+//
+// 文言は i18n.js（t / createOutputText）、ターンや本文を探すセレクタはサイトプロファイル（site-profile.js）から取る。
+// どちらもこのファイルより先に読み込んでおくこと（manifest.json と export.js の ensureContentScript）。
+// thread は HTML / JSON の出力に使うターンモデル（title, url, exportedAt, model, turns, canvases, canvasHistory）。
+// assets は options.images === "assets" のときに取得した画像（[{ path, dataUri }]）。
+// skippedCanvases は取得できなかった/打ち切りで飛ばした Canvas のファイル名。
+// historyComplete は古いターンを最後まで読み込めたか（options.loadFullHistory がオフなら null）。
+// 失敗した場合は { error } を返す。extract の実行中は
+// { type: "progress", requestId, phase, current, total, title? } を拡張機能側に送る。
+(() => {
+  // 既に読み込まれているタブに再注入された場合の二重登録防止
+  if (globalThis.geminiThreadToMarkdown) return;
 
+  async function extractThread(
+    {
+      includeCanvas = false,
+      includeFrontMatter = false,
+      thinking = "exclude",
+      includeSources = true,
+      tags = [],
+      template,
+      turnIndices = null,
+      // 画像: "link"（元のURL） / "embed"（data URI） / "assets"（assets/ 内のファイルとして返す）
+      images = "link",
+      // true なら Canvas の中身は埋め込まず、ZIP 内の個別ファイルへのリンクにする
+      canvasFiles = false,
+      // true なら各ターンの Canvas チップを開き、版ごとの内容と差分も出力する（includeCanvas と併用）
+      canvasHistory = false,
+      // Canvas の配置: "end"（末尾にまとめる） / "inline"（作成/更新したターンの直後）
+      canvasPlacement = "end",
+      // true なら会話を上端までスクロールし、遅延読み込みされる古いターンをすべて読み込んでから抽出する
+      loadFullHistory = false,
+      // 見出し・話者名・注意書きの文言（出力言語のカタログ）。ないものはブラウザの表示言語で引く
+      labels = {},
+    } = {},
+    // signal が中断されると画像や Canvas の取得を打ち切り、それまでの結果で出力する
+    { onProgress = () => {}, signal = null } = {}
+  ) {
+    let { root, nodes } = findConversation();
+    const text = createOutputText(labels);
+    let historyComplete = null;
+    if (loadFullHistory) {
+      historyComplete = (await loadOlderTurns(root, { onProgress, signal })).complete;
+      nodes = collectConversationNodes(root);
+    }
+    const selectedIndices = Array.isArray(turnIndices) ? new Set(turnIndices) : null;
+    const title = getThreadTitle();
+    const exportedAt = new Date();
+    const output = [];
+    const exported = exportedAt.toLocaleString();
+    const header = renderTemplate(template.header, { title, exported }).trim();
+    if (header) output.push(header, "");
+    // 件数はターンを処理し終えてから埋める
+    const historyNotePosition = output.length;
+    let turnCount = 0;
+    // Markdown 以外の形式（HTML など）はこのターンモデルから組み立てる
+    const thread = {
+      title,
+      url: location.origin + location.pathname,
+      exportedAt: exportedAt.toISOString(),
+      model: getModelName(),
+      turns: [],
+      canvases: [],
+      canvasHistory: [],
+    };
+    // 同じURLはスレッド全体で同じ脚注番号にする
+    const sourceRegistry = { numbers: new Map(), listed: new Set(), next: 1 };
+    // HTML の脚注参照の id が重複しないよう、番号ごとの出現回数を数える（fnref-番号-回数）
+    const footnoteRefs = new Map();
+    // 取得した画像（元の src -> 出力に使うURL）。同じ画像は一度だけ取得する
+    const imageStore =
+      images === "link" ? null : { mode: images, urls: new Map(), assets: [], failed: new Set() };
+    // Canvas の履歴を取るときに開き直すターン
+    const canvasTurns = [];
+    // Canvas をターンの直後に置くときの挿入位置（output の添字）とそのターンのファイル名
+    const canvasSlots = [];
+
+    for (const [index, node] of nodes.entries()) {
+      if (selectedIndices && !selectedIndices.has(index)) continue;
+      onProgress({ phase: "turns", current: index + 1, total: nodes.length });
+      const speaker = getSpeaker(node);
+      const content = getBestContentNode(node);
+      const turnSources = includeSources && speaker === "Gemini" ? collectSources(node) : [];
+      // 出典の一覧（Markdown / HTML）には初めて引用されたものだけを載せるが、
+      // ターンモデルにはこのターンが引用したすべての出典を残す
+      const newlyCited = [];
+      const turnCited = new Map();
+      const citations = includeSources
+        ? {
+            sources: turnSources,
+            cite(source) {
+              let entry = sourceRegistry.numbers.get(source.url);
+              if (!entry) {
+                entry = { ...source, number: sourceRegistry.next++ };
+                sourceRegistry.numbers.set(source.url, entry);
+                sourceRegistry.listed.add(source.url);
+                newlyCited.push(entry);
+              }
+              turnCited.set(entry.number, entry);
+              return entry.number;
+            },
+          }
+        : null;
+      if (imageStore) await loadTurnImages(content, imageStore, { onProgress, signal });
+      const imageUrls = imageStore?.urls ?? null;
+      const body = htmlToMarkdown(content, { citations, images: imageUrls }).trim();
+      if (!body) continue;
+      const html = htmlToSafeHtml(content, { citations, images: imageUrls, footnoteRefs });
+
+      const uncited = takeUncitedSources(turnSources, sourceRegistry);
+      let markdown = body;
+      const sourcesBlock = formatSources(newlyCited, uncited, text);
+      if (sourcesBlock) markdown = `${markdown}\n\n${sourcesBlock}`;
+
+      const thoughts =
+        thinking !== "exclude" && speaker === "Gemini" ? await extractThinking(node) : null;
+      if (thoughts) markdown = `${formatThinking(thoughts.markdown, thinking, text)}\n\n${markdown}`;
+
+      turnCount++;
+      const timestamp = getTurnTimestamp(node);
+      const turnTemplate = speaker === "User" ? template.user : template.model;
+      output.push(renderTemplate(turnTemplate, {
+        speaker: text(speaker === "User" ? "outputSpeakerUser" : "outputSpeakerModel"),
+        index: turnCount,
+        content: markdown,
+        // 時刻が表示されていないターンでは、エクスポート日時を発言時刻に見せないよう空にする
+        timestamp: timestamp || "",
+        exported,
+      }));
+      output.push("");
+      const chipTitles = getTurnCanvasTitles(node);
+      if (chipTitles.length > 0) canvasSlots.push({ position: output.length, titles: chipTitles });
+
+      thread.turns.push({
+        index: turnCount,
+        speaker,
+        markdown: body,
+        html,
+        thinking: thoughts,
+        timestamp,
+        sources: { cited: newlyCited, uncited },
+        citations: Array.from(turnCited.values()),
+        canvasTitles: chipTitles,
+        ...collectTurnDetails(content, { images: imageUrls }),
+      });
+      if (findTurnCanvasChips(node).length > 0) canvasTurns.push({ node, turn: turnCount });
+    }
+
+    // Canvas処理
+    const canvasTitles = [];
+    let skippedCanvases = [];
+    if (includeCanvas) {
+      // ファイルの取得と変更履歴の取得で1つの制限時間を共有する
+      const deadline = Date.now() + CANVAS_TIME_LIMIT_MS;
+      const extracted = await extractAllCanvasContent(root, { onProgress, signal, deadline });
+      const canvases = assignCanvasPaths(extracted.canvases);
+      skippedCanvases = extracted.skipped;
+      if (canvases.length > 0) {
+        const formatCanvas = (canvas) => (canvasFiles ? formatCanvasLink : formatCanvasSection)(canvas, text);
+        const placed =
+          canvasPlacement === "inline"
+            ? placeCanvasesInline(output, canvasSlots, canvases, { formatCanvas, text })
+            : new Set();
+        for (const canvas of canvases) {
+          if (!placed.has(canvas)) output.push("", "---", "", formatCanvas(canvas));
+          canvasTitles.push(canvas.title);
+        }
+        thread.canvases = canvases;
+      } else if (skippedCanvases.length === 0) {
+        // 取得できず、かつ参照がある場合は警告（飛ばしたファイルがあれば下の注記で伝える）
+        const hasCanvasRef = checkForCanvasReference(root);
+        if (hasCanvasRef) {
+          output.push(
+            "",
+            "---",
+            "",
+            "> [!WARNING]",
+            `> **${text("outputCanvasNotFound")}**`,
+            `> ${text("outputCanvasNotFoundHint")}`
+          );
+        }
+      }
+
+      if (skippedCanvases.length > 0) {
+        output.push("", "---", "", formatSkippedCanvasNote(skippedCanvases, { cancelled: !!signal?.aborted, text }));
+      }
+
+      if (canvasHistory && canvasTurns.length > 0 && !signal?.aborted) {
+        const history = await extractCanvasHistory(root, canvasTurns, { onProgress, signal, deadline, text });
+        for (const file of history) {
+          if (file.versions.length > 1) output.push("", "---", "", formatCanvasHistory(file, text));
+        }
+        thread.canvasHistory = history;
+      }
+    }
+
+    if (historyComplete === false) {
+      output.splice(historyNotePosition, 0, formatIncompleteHistoryNote(turnCount, text), "");
+    }
+
+    let markdown = cleanupMarkdown(output.join("\n"));
+    if (includeFrontMatter) {
+      const frontMatter = buildFrontMatter({
+        title,
+        exportedAt,
+        turnCount,
+        // Canvasを取得していない場合も、サイドバーに見えているファイル名は拾っておく
+        canvasTitles: canvasTitles.length > 0 ? canvasTitles : listCreatedFileTitles(root),
+        tags,
+      });
+      markdown = `${frontMatter}\n\n${markdown}`;
+    }
+
+    return {
+      markdown,
+      title,
+      thread,
+      assets: imageStore?.assets ?? [],
+      failedImages: imageStore?.failed.size ?? 0,
+      skippedCanvases,
+      cancelled: !!signal?.aborted,
+      turnCount,
+      historyComplete,
+    };
+  }
+
+  function formatIncompleteHistoryNote(turnCount, text) {
+    return [
+      "> [!WARNING]",
+      `> **${text("outputHistoryIncomplete")}** ${text("outputHistoryIncompleteDetail", { count: turnCount })}`,
+    ].join("\n");
+  }
+
+  // 1枚の画像の取得を待つ上限。応答のない URL があっても抽出全体は止めない
+  const IMAGE_FETCH_TIMEOUT_MS = 15_000;
+
+  // 画像はページのコンテキストで取得する（Google のログインが必要な画像や期限付きURLに対応するため）
+  // signal が中断されたら取得中のものも打ち切り、残りの画像は元のURLのまま出力する
+  async function loadTurnImages(element, store, { onProgress, signal = null }) {
+    const clone = prepareContentClone(element, { citations: null });
+    const srcs = Array.from(clone.querySelectorAll("img[src]"), (img) => img.getAttribute("src"));
+    const pending = Array.from(new Set(srcs)).filter(
+      (src) => src && !store.urls.has(src) && !store.failed.has(src)
+    );
+
+    for (const [i, src] of pending.entries()) {
+      if (signal?.aborted) {
+        store.failed.add(src);
+        continue;
+      }
+      onProgress({ phase: "images", current: i + 1, total: pending.length });
+      try {
+        const dataUri = await fetchImageAsDataUri(src, { signal });
+        if (store.mode === "embed") {
+          store.urls.set(src, dataUri);
+        } else {
+          const number = String(store.assets.length + 1).padStart(3, "0");
+          const path = `assets/image-${number}.${getImageExtension(dataUri)}`;
+          store.assets.push({ path, dataUri });
+          store.urls.set(src, path);
+        }
+      } catch (e) {
+        // 取得できなかった画像は元のURLのまま出力する
+        console.warn("Failed to fetch image:", src, e);
+        store.failed.add(src);
+      }
+    }
+  }
+
+  async function fetchImageAsDataUri(src, { signal = null } = {}) {
+    if (src.startsWith("data:image/")) return src;
+    const url = toAbsoluteUrl(src);
+    const timeout = AbortSignal.timeout(IMAGE_FETCH_TIMEOUT_MS);
+    const fetchSignal = signal ? AbortSignal.any([signal, timeout]) : timeout;
+    let res;
+    try {
+      res = await fetch(url, { credentials: "include", signal: fetchSignal });
+    } catch (e) {
+      if (fetchSignal.aborted) throw e;
+      // Access-Control-Allow-Origin: * の画像は Cookie 付きだと CORS で弾かれる
+      res = await fetch(url, { credentials: "omit", signal: fetchSignal });
+    }
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    const blob = await res.blob();
+    if (!blob.type.startsWith("image/")) throw new Error(`Unexpected content type: ${blob.type}`);
+    return await new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => reject(reader.error);
+      reader.readAsDataURL(blob);
+    });
+  }
+
+  function getImageExtension(dataUri) {
+    const type = (String(dataUri).match(/^data:image\/([\w.+-]+)/) || [])[1] || "";
+    const known = { jpeg: "jpg", "svg+xml": "svg", "x-icon": "ico", "vnd.microsoft.icon": "ico" };
+    if (known[type]) return known[type];
+    return /^[a-z0-9]+$/.test(type) ? type : "png";
+  }
+
+  async function extractThinking(node) {
+    const container = node.querySelector?.('model-thoughts, [data-test-id="model-thoughts"]');
+    if (!container) return null;
+
+    const findContent = () => {
+      const el = container.querySelector(
+        '[data-test-id="thoughts-content"], .thoughts-content, .thoughts-body'
+      );
+      return el && (el.textContent || "").trim() ? el : null;
+    };
+
+    // 折りたたまれている場合は「思考プロセスを表示」を押して展開し、取得後に元に戻す
+    let expanded = false;
+    let contentEl = findContent();
+    if (!contentEl) {
+      const toggle =
+        container.querySelector('[data-test-id="thoughts-header-button"]') ||
+        container.querySelector(".thoughts-header button") ||
+        container.querySelector("button");
+      if (!toggle) return null;
+      toggle.click();
+      expanded = true;
+      contentEl = await waitFor(findContent, { timeout: 3000, interval: 100 });
+    }
+
+    try {
+      if (!contentEl) return null;
+      const markdown = htmlToMarkdown(contentEl).trim();
+      return markdown ? { markdown, html: htmlToSafeHtml(contentEl) } : null;
+    } finally {
+      if (expanded) {
+        const toggle =
+          container.querySelector('[data-test-id="thoughts-header-button"]') ||
+          container.querySelector(".thoughts-header button") ||
+          container.querySelector("button");
+        toggle?.click();
+      }
+    }
+  }
+
+  function formatThinking(markdown, mode, text) {
+    const label = text("outputThinking");
+    if (mode === "callout") {
+      const lines = markdown.split("\n").map((l) => (l ? `> ${l}` : ">"));
+      return ["> [!NOTE]", `> **${label}**`, ">", ...lines].join("\n");
+    }
+    return ["<details>", `<summary>${label}</summary>`, "", markdown, "", "</details>"].join("\n");
+  }
+
+  function collectSources(node) {
+    const links = Array.from(
+      node.querySelectorAll?.(
+        'sources-list a[href], .sources-list a[href], [data-test-id="sources-list"] a[href], source-chip a[href]'
+      ) || []
+    );
+    const sources = [];
+    for (const link of links) {
+      const url = normalizeSourceUrl(link.getAttribute("href"));
+      if (!url) continue;
+      const title =
+        (link.getAttribute("aria-label") || link.getAttribute("title") || link.textContent || "")
+          .replace(/\s+/g, " ")
+          .trim() || new URL(url).hostname;
+      sources.push({ url, title });
+    }
+    return sources;
+  }
+
+  function normalizeSourceUrl(href) {
+    if (!href) return null;
+    try {
+      const url = new URL(href, location.href);
+      if (url.protocol !== "http:" && url.protocol !== "https:") return null;
+      // Google のリダイレクトURLは実際の遷移先に置き換える
+      if (/(^|\.)google\.[a-z.]+$/.test(url.hostname) && url.pathname === "/url") {
+        const target = url.searchParams.get("q") || url.searchParams.get("url");
+        if (target) return normalizeSourceUrl(target);
+      }
+      url.hash = "";
+      return url.toString();
+    } catch {
+      return null;
+    }
+  }
+
+  // 本文中で引用されなかったソースは通常のリストとして出す（スレッド内で既出なら省略）
+  function takeUncitedSources(turnSources, registry) {
+    const uncited = [];
+    for (const source of turnSources) {
+      if (registry.listed.has(source.url)) continue;
+      registry.listed.add(source.url);
+      uncited.push(source);
+    }
+    return uncited;
+  }
+
+  function formatSources(newlyCited, uncited, text) {
+    const escapeLinkText = (text) => String(text).replace(/([\[\]])/g, "\\$1");
+    const definitions = newlyCited.map(
+      (s) => `[^${s.number}]: [${escapeLinkText(s.title)}](${s.url})`
+    );
+    const list = uncited.map((s) => `- [${escapeLinkText(s.title)}](${s.url})`);
+
+    if (definitions.length === 0 && list.length === 0) return "";
+    const lines = [`**${text("outputSources")}**`, ""];
+    if (definitions.length > 0) lines.push(...definitions);
+    if (definitions.length > 0 && list.length > 0) lines.push("");
+    if (list.length > 0) lines.push(...list);
+    return lines.join("\n");
+  }
+
+  function findConversation() {
+    if (!location.hostname.endsWith("gemini.google.com")) {
+      throw new Error(t("errorNotGeminiPage"));
+    }
+
+    const root = document.querySelector("main") || document.body;
+    if (!root) throw new Error(t("errorParseFailed"));
+
+    const nodes = collectConversationNodes(root);
+    if (nodes.length === 0) {
+      throw new Error(t("errorNoConversationElements"));
+    }
+    return { root, nodes };
+  }
+
+  // Gemini は上にスクロールしたときに古いターンを読み込むため、会話の上端へのスクロールを
+  // ターンが増えなくなるまで繰り返す。読み込み後は元の表示位置（下端からの距離）に戻す。
+  // 戻り値: { turnCount, complete }。complete は時間切れ/中断せずに上端まで読み込めたか
+  async function loadOlderTurns(root, { onProgress = () => {}, signal = null, timeout = 30_000 } = {}) {
+    const countTurns = () => collectConversationNodes(root).length;
+    const scroller = findChatScroller(root);
+    if (!scroller) return { turnCount: countTurns(), complete: true };
+
+    // 読み込みが途切れたとみなすまでの待ち時間
+    const IDLE_MS = 1500;
+    const start = Date.now();
+    const distanceFromBottom = scroller.scrollHeight - scroller.scrollTop;
+    let turnCount = countTurns();
+    let complete = false;
+
+    try {
+      while (!signal?.aborted) {
+        const remainingMs = timeout - (Date.now() - start);
+        if (remainingMs <= 0) break;
+        onProgress({ phase: "history", current: turnCount, total: null });
+
+        scroller.scrollTop = 0;
+        scroller.dispatchEvent(new Event("scroll"));
+        const grown = await waitFor(() => countTurns() > turnCount, {
+          timeout: Math.min(IDLE_MS, remainingMs),
+          interval: 200,
+          signal,
+        });
+        if (grown) {
+          turnCount = countTurns();
+          continue;
+        }
+        // 読み込み中の表示が残っていれば、もう少し待つ
+        if (isHistoryLoading(scroller)) continue;
+        complete = !signal?.aborted && Date.now() - start < timeout;
+        break;
+      }
+    } finally {
+      scroller.scrollTop = Math.max(0, scroller.scrollHeight - distanceFromBottom);
+    }
+
+    return { turnCount: countTurns(), complete };
+  }
+
+  // 会話履歴をスクロールしている要素
+  function findChatScroller(root) {
+    const isScrollable = (el) => el.scrollHeight > el.clientHeight;
+    const explicit = root.querySelector('infinite-scroller, #chat-history, [data-test-id="chat-history-container"]');
+    if (explicit && isScrollable(explicit)) return explicit;
+
+    // 見つからなければ、最初のターンから overflow でスクロールする祖先をたどる
+    const [firstTurn] = collectConversationNodes(root);
+    for (let el = firstTurn?.parentElement; el && el !== document.body; el = el.parentElement) {
+      const { overflowY } = window.getComputedStyle(el);
+      if ((overflowY === "auto" || overflowY === "scroll") && isScrollable(el)) return el;
+    }
+    return null;
+  }
+
+  function isHistoryLoading(scroller) {
+    const indicators = scroller.querySelectorAll('mat-progress-spinner, mat-spinner, [role="progressbar"]');
+    return Array.from(indicators).some(isElementVisible);
+  }
+
+  // ポップアップのターン選択用に、話者と冒頭のプレビューだけを返す。
+  // index を extract の turnIndices と揃えるため、古いターンの読み込みも extract と同じ設定で行う
+  async function listTurns({ loadFullHistory = false } = {}) {
+    let { root, nodes } = findConversation();
+    if (loadFullHistory) {
+      await loadOlderTurns(root);
+      nodes = collectConversationNodes(root);
+    }
+    const turns = [];
+    for (const [index, node] of nodes.entries()) {
+      const markdown = htmlToMarkdown(getBestContentNode(node)).trim();
+      if (!markdown) continue;
+      const firstLine = markdown.split("\n").find((l) => l.trim()) || "";
+      const preview = firstLine.replace(/^[#>\-*\s]+/, "").trim();
+      turns.push({
+        index,
+        speaker: getSpeaker(node),
+        preview: preview.length > 80 ? `${preview.slice(0, 80)}…` : preview,
+      });
+    }
+    return turns;
+  }
+
+  function renderTemplate(text, vars) {
+    // 1パスで置換するため、本文中の "{{...}}" が再展開されることはない
+    return String(text || "").replace(/\{\{\s*(\w+)\s*(?:\|\s*(\w+)\s*)?\}\}/g, (m, key, filter) => {
+      if (!(key in vars)) return m;
+      const value = String(vars[key] ?? "");
+      if (filter === "quote") {
+        return value.split("\n").map((l) => (l ? `> ${l}` : ">")).join("\n");
+      }
+      return value;
+    });
+  }
+
+  function getTurnTimestamp(node) {
+    // Gemini は通常ターンごとの時刻を表示しないが、DOM にあれば使う
+    const timeEl = node.querySelector?.("time[datetime]");
+    const value = timeEl?.getAttribute("datetime");
+    if (!value) return null;
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? value : date.toLocaleString();
+  }
+
+  function buildFrontMatter({ title, exportedAt, turnCount, canvasTitles, tags }) {
+    const lines = ["---"];
+    lines.push(`title: ${yamlString(title)}`);
+    lines.push(`source: ${yamlString(location.origin + location.pathname)}`);
+    lines.push(`exported: ${yamlString(exportedAt.toISOString())}`);
+    lines.push(`turns: ${turnCount}`);
+
+    const model = getModelName();
+    if (model) lines.push(`model: ${yamlString(model)}`);
+
+    const pushList = (key, values) => {
+      if (!values || values.length === 0) {
+        lines.push(`${key}: []`);
+        return;
+      }
+      lines.push(`${key}:`);
+      for (const v of values) lines.push(`  - ${yamlString(v)}`);
+    };
+    pushList("canvas", Array.from(new Set(canvasTitles)));
+    pushList("tags", tags);
+
+    lines.push("---");
+    return lines.join("\n");
+  }
+
+  function yamlString(value) {
+    // 常にダブルクォートで出力し、YAMLの予約文字や型推論（yes/no, 数値など）の影響を避ける
+    const escaped = String(value)
+      .replace(/\\/g, "\\\\")
+      .replace(/"/g, '\\"')
+      .replace(/\n/g, "\\n")
+      .replace(/\r/g, "\\r")
+      .replace(/\t/g, "\\t")
+      .replace(/[\u0000-\u001f\u007f]/g, (c) => `\\x${c.charCodeAt(0).toString(16).padStart(2, "0")}`);
+    return `"${escaped}"`;
+  }
+
+  function getModelName() {
+    // モデル切替ボタン（例: "2.5 Pro"）。見つからなければ省略する
+    const selectors = [
+      '[data-test-id="bard-mode-menu-button"]',
+      "bard-mode-switcher button",
+      ".current-mode-title",
+    ];
+    for (const sel of selectors) {
+      const el = document.querySelector(sel);
+      if (!el) continue;
+      const clone = el.cloneNode(true);
+      clone.querySelectorAll("mat-icon, svg").forEach((icon) => icon.remove());
+      const text = (clone.textContent || "").replace(/\s+/g, " ").trim();
+      if (text) return text;
+    }
+    return null;
+  }
+
+  function captureUiState(root) {
+    const sidebarWasOpen = !!findSidebarCloseButton();
+    const sidePanel = sidebarWasOpen ? findSidePanel() : null;
+
+    const windowScroll = { x: window.scrollX, y: window.scrollY };
+
+    const activeSidebarTabLabel = (() => {
+      if (!sidePanel) return null;
+      const tabs = Array.from(sidePanel.querySelectorAll('button[role="tab"], button[role="radio"]'));
+      const active = tabs.find((t) =>
+        t.getAttribute("aria-selected") === "true" || t.getAttribute("aria-pressed") === "true"
+      );
+      const label = (active?.textContent || active?.getAttribute("aria-label") || "").trim();
+      return label || null;
+    })();
+
+    const hadMonacoOpen = !!document.querySelector(".monaco-editor .view-line");
+    const currentCanvasTitle = (() => {
+      const titleEl = document.querySelector('div[class*="title-m"]');
+      const title = (titleEl?.textContent || "").trim();
+      return title || null;
+    })();
+
+    const sidePanelScrollTop = sidePanel ? sidePanel.scrollTop : null;
+
+    const { container: createdContainer } = findCreatedSectionContainer(root) || {};
+    const fileListScrollTop =
+      createdContainer && typeof createdContainer.scrollTop === "number"
+        ? createdContainer.scrollTop
+        : null;
+
+    const monacoScrollable = document.querySelector(".monaco-editor .scrollable-element");
+    const monacoScroll = monacoScrollable
+      ? { top: monacoScrollable.scrollTop, left: monacoScrollable.scrollLeft }
+      : null;
+
+    const immersivePanelOpen = isImmersivePanelOpen();
+    const canvasActiveTab = getCanvasActiveTab();
+
+    return {
+      sidebarWasOpen,
+      activeSidebarTabLabel,
+      hadMonacoOpen,
+      currentCanvasTitle,
+      windowScroll,
+      sidePanelScrollTop,
+      fileListScrollTop,
+      monacoScroll,
+      immersivePanelOpen,
+      canvasActiveTab,
+    };
+  }
+
+  async function listCanvases() {
+    const { root } = findConversation();
+    const uiState = captureUiState(root);
+    try {
+      await ensureSidebarOpen(root);
+      await ensureFileListVisible(root);
+      return listCreatedFileTitles(root);
+    } finally {
+      await restoreUiState(root, uiState);
+    }
+  }
+
+  // 一括エクスポート用に、サイドバーの「最近のチャット」から会話の一覧を返す。
+  // loadAll なら一覧を下までスクロールし、遅延読み込みされる古い会話も含める
+  async function listConversations({ loadAll = false, timeout = 20_000 } = {}) {
+    if (!location.hostname.endsWith("gemini.google.com")) {
+      throw new Error(t("errorNotGeminiPage"));
+    }
+    if (loadAll) {
+      const start = Date.now();
+      let count = findConversationItems().length;
+      while (Date.now() - start < timeout) {
+        const items = findConversationItems();
+        const list = items[items.length - 1]?.closest("conversations-list, infinite-scroller, nav") || null;
+        if (!list) break;
+        list.scrollTop = list.scrollHeight;
+        list.dispatchEvent(new Event("scroll"));
+        const grown = await waitFor(() => findConversationItems().length > count, {
+          timeout: Math.min(1500, timeout - (Date.now() - start)),
+          interval: 200,
+        });
+        if (!grown) break;
+        count = findConversationItems().length;
+      }
+    }
+
+    const conversations = [];
+    const seen = new Set();
+    for (const item of findConversationItems()) {
+      const url = getConversationUrl(item);
+      if (!url || seen.has(url)) continue;
+      seen.add(url);
+      const titleEl = item.querySelector(".conversation-title, [data-test-id=\"conversation-title\"]");
+      const title = ((titleEl || item).textContent || "").replace(/\s+/g, " ").trim();
+      conversations.push({ title: title || url, url, current: url === location.origin + location.pathname });
+    }
+    if (conversations.length === 0) {
+      throw new Error(t("errorNoConversationList"));
+    }
+    return conversations;
+  }
+
+  function findConversationItems() {
+    const items = document.querySelectorAll(
+      '[data-test-id="conversation"], conversations-list a[href], side-navigation-v2 a[href*="/app/"]'
+    );
+    // 会話の項目の中にあるリンクは項目として数えない
+    return Array.from(items).filter((el) => !el.parentElement?.closest('[data-test-id="conversation"]'));
+  }
+
+  function getConversationUrl(item) {
+    const link = item.matches("a[href]") ? item : item.querySelector("a[href]") || item.closest("a[href]");
+    if (link) {
+      const url = new URL(link.getAttribute("href"), location.origin);
+      if (url.origin === location.origin && /^\/(app|gem\/[^/]+)\/[0-9a-z_-]+$/i.test(url.pathname)) {
+        return url.origin + url.pathname;
+      }
+    }
+    // リンクを持たない項目は jslog に会話IDが "c_<id>" の形で入っている
+    const match = (item.getAttribute("jslog") || "").match(/"c_([0-9a-f]+)"/i);
+    return match ? `${location.origin}/app/${match[1]}` : null;
+  }
+
+  async function restoreUiState(root, state) {
+    const shouldCloseImmersive = !state?.immersivePanelOpen;
+
+    try {
+      if (state?.windowScroll) {
+        window.scrollTo(state.windowScroll.x, state.windowScroll.y);
+      }
+
+      if (!state?.sidebarWasOpen) {
+        const closeBtn = findSidebarCloseButton();
+        if (closeBtn) {
+          closeBtn.click();
+          await waitFor(() => !findSidebarCloseButton(), {
+            timeout: 1500,
+            interval: 100,
+          });
+        }
+        if (shouldCloseImmersive) {
+          await closeImmersivePanel();
+        }
+        return;
+      }
+
+      await ensureSidebarOpen(root);
+      const sidePanel = findSidePanel();
+
+      if (state.hadMonacoOpen && state.currentCanvasTitle) {
+        await ensureFileListVisible(root);
+        await openFileByTitle(root, state.currentCanvasTitle);
+
+        if (sidePanel) ensureCodeTabSelected(sidePanel);
+
+        if (state.monacoScroll) {
+          await waitFor(() => document.querySelector(".monaco-editor .scrollable-element"), {
+            timeout: 1500,
+            interval: 100,
+          });
+          const monacoScrollable = document.querySelector(".monaco-editor .scrollable-element");
+          if (monacoScrollable) {
+            monacoScrollable.scrollTop = state.monacoScroll.top;
+            monacoScrollable.scrollLeft = state.monacoScroll.left;
+          }
+        }
+      } else {
+        if (sidePanel && state.activeSidebarTabLabel) {
+          const tabs = Array.from(sidePanel.querySelectorAll('button[role="tab"], button[role="radio"]'));
+          const target = tabs.find((t) => {
+            const label = ((t.textContent || "") || (t.getAttribute("aria-label") || "")).trim();
+            return label === state.activeSidebarTabLabel;
+          });
+          target?.click();
+        }
+
+        if (!state.hadMonacoOpen) {
+          const monacoOpen = !!document.querySelector(".monaco-editor .view-line");
+          if (monacoOpen && sidePanel) {
+            if (!clickBackButton(sidePanel)) {
+              clickFilesTab(sidePanel);
+            }
+            await waitFor(() => !document.querySelector(".monaco-editor .view-line"), {
+              timeout: 1500,
+              interval: 100,
+            });
+          }
+        }
+
+        if (typeof state.fileListScrollTop === "number") {
+          await ensureFileListVisible(root);
+          const { container } = findCreatedSectionContainer(root) || {};
+          if (container) container.scrollTop = state.fileListScrollTop;
+        }
+      }
+
+      // Canvasタブの復元（プレビュー/コード）
+      if (state.canvasActiveTab) {
+        const panel = findImmersivePanel();
+        if (panel && isElementVisible(panel)) {
+          selectCanvasTab(panel, state.canvasActiveTab);
+        }
+      }
+
+      if (sidePanel && typeof state.sidePanelScrollTop === "number") {
+        sidePanel.scrollTop = state.sidePanelScrollTop;
+      }
+
+      if (shouldCloseImmersive) {
+        await closeImmersivePanel();
+      }
+    } catch (e) {
+      console.warn("UI restore failed (best-effort):", e);
+    }
+  }
+
+  // Canvas の取得（ファイルの一覧と変更履歴を合わせて）にかける時間の上限。export.js の extractFromTab の待ち時間もこれに合わせる
+  const CANVAS_TIME_LIMIT_MS = 45_000;
+
+  // 戻り値: { canvases, skipped }。skipped は一覧にあったが取得できなかった/打ち切りで飛ばしたファイル名
+  async function extractAllCanvasContent(
+    root,
+    { onProgress = () => {}, signal = null, deadline = Date.now() + CANVAS_TIME_LIMIT_MS } = {}
+  ) {
+    const uiState = captureUiState(root);
+    const results = [];
+    let titles = [];
+    const processedTitles = new Set();
+    const processedContentHashes = new Set(); // 内容重複チェック用（念のため）
+
+    try {
+      try {
+        // 1. まず現在の表示を取得してみる
+        let currentContent = await getCanvasContent();
+        if (currentContent) {
+          processedTitles.add(currentContent.title);
+          results.push(currentContent);
+        }
+
+        // 2. サイドバーを開く
+        await ensureSidebarOpen(root);
+        await ensureFileListVisible(root);
+
+        // 3. 「作成済み」等のセクションからファイル名一覧を取得
+        // React/Angularの再レンダリング対策として、要素そのものではなく「タイトル名」で管理する
+        titles = listCreatedFileTitles(root);
+
+        if (titles.length > 0) {
+          let everOpenedEditor = false;
+
+          // 各タイトルについて、都度要素を探してクリック -> 取得
+          for (const [i, title] of titles.entries()) {
+            if (signal?.aborted || Date.now() > deadline) break;
+            onProgress({ phase: "canvas", current: i + 1, total: titles.length, title });
+
+            try {
+              const listReady = await ensureFileListVisible(root);
+              if (!listReady) {
+                console.warn("File list is not visible. Aborting canvas extraction loop.");
+                break;
+              }
+
+              // 既に取得済みならスキップ (currentContentで取れている場合など)
+              if (processedTitles.has(title)) continue;
+
+              const clicked = await openFileByTitle(root, title);
+              if (!clicked) {
+                console.warn(`Failed to click file: ${title}`);
+                continue;
+              }
+
+              // サイドバー内のCodeタブを押す (もしあれば)
+              const closeBtn = findSidebarCloseButton();
+              let sidePanel = null;
+              if (closeBtn) {
+                sidePanel =
+                  closeBtn.closest("side-navigation-v2") ||
+                  closeBtn.closest("aside") ||
+                  closeBtn.closest(".content");
+              }
+              if (sidePanel) {
+                // Codeタブへの切り替え待ち (少しタイムラグがある場合があるためwaitForに入れる)
+                await waitFor(
+                  async () => {
+                    ensureCodeTabSelected(sidePanel);
+                    return true;
+                  },
+                  { timeout: 1000, interval: 200, signal }
+                );
+              }
+
+              // コンテンツ取得
+              // DOM上のタイトルが取れなくても、ループ中の title (ファイル名) を正とする
+              const remainingMs = deadline - Date.now();
+              if (remainingMs <= 0) break;
+              const content = await waitFor(
+                async () => {
+                  const c = await getCanvasContent({ titleFallback: title });
+                  if (!c) return null;
+                  return c;
+                },
+                { timeout: Math.min(8000, remainingMs), interval: 200, signal } // 初回は少し長めでもよい
+              );
+              if (signal?.aborted) break;
+
+              if (content) {
+                results.push(content);
+                processedTitles.add(title);
+                everOpenedEditor = true;
+              } else {
+                // 1度もエディタが開けていないなら、以降も成功確率が低いので早期終了
+                if (!everOpenedEditor) break;
+              }
+
+              const listRestored = await ensureFileListVisible(root);
+              if (!listRestored) {
+                console.warn("Failed to restore file list after reading canvas content.");
+                break;
+              }
+
+            } catch (err) {
+              console.warn(`Error processing file "${title}":`, err);
+            }
+          }
+        } else {
+          // もし「作成済み」セクションが見つからない、または空の場合
+          // 従来のロジック（ボタン総当たり）にフォールバック、または
+          // 単一ファイルとして扱う（既にstep 1で取得済みならOK）
+
+          // フォールバック: 旧来の "items" 取得ロジック
+          const { items, sidePanel } = getCanvasSidebarItems(root);
+          if (items.length > 0) {
+            // ... (既存のループ処理があればここに入れるが、今回はtitlesが取れない＝構造が違う、とみなして無理に深追いしない)
+            // ただし、「作成済み」以外のセクションにあるファイル（Refinedなど）も考慮するなら
+            // ここで getCanvasSidebarItems を呼ぶのもあり。
+            // いったん「作成済み」が空なら何もしない（step 1の結果のみ）
+          }
+
+          // もしボタンで「開く」があるなら（サイドバーじゃなくてチップ表示の場合など）
+          if (results.length === 0 && !signal?.aborted) {
+            const opened = await tryClickOpenButton(root);
+            if (opened) {
+      await waitFor(() => getCanvasContent(), { timeout: 3000 });
+      const content = await getCanvasContent();
+              if (content) results.push(content);
+            }
+          }
+        }
+      } catch (e) {
+        console.warn("Error extracting multiple canvas contents:", e);
+      }
+
+      return { canvases: results, skipped: titles.filter((title) => !processedTitles.has(title)) };
+    } finally {
+      await restoreUiState(root, uiState);
+    }
+  }
+
+  function findCreatedSectionContainer(root) {
+    const scopes = [];
+    if (root) scopes.push(root);
+    if (root !== document) scopes.push(document);
+
+    const seen = new Set();
+    for (const scope of scopes) {
+      if (!scope || seen.has(scope)) continue;
+      seen.add(scope);
+
+      // 1. 言語非依存: source-container 内に sidebar-immersive-chip があるものを優先
+      const containers = Array.from(scope.querySelectorAll("div.source-container"));
+      const chipContainer = containers.find((c) => c.querySelector("sidebar-immersive-chip"));
+      if (chipContainer) return { container: chipContainer, scope };
+
+      // 2. 見つからなければ「作成済み」などの見出しに続く source-container を探す（表示言語ごとの文言で判定）
+      const headers = Array.from(scope.querySelectorAll("div.section-header, div.gds-title-s"));
+      const targetHeader = headers.find((el) =>
+        matchesUiLabel(el.textContent, ["created", "files"], { exact: true })
+      );
+      if (targetHeader) {
+        let container = targetHeader.nextElementSibling;
+        while (container && !container.classList.contains("source-container")) {
+          container = container.nextElementSibling;
+          if (!container || container.tagName === "SECTION" || container.classList.contains("section-header")) {
+            container = null;
+            break;
+          }
+        }
+        if (container) return { container, scope };
+      }
+    }
+
+    return { container: null, scope: null };
+  }
+
+  function listCreatedFileTitles(root) {
+    const { container } = findCreatedSectionContainer(root);
+    if (!container) {
+      // セクションが見つからない場合、もしかしたらセクション分けがないかも？
+      // その場合は sidebar-immersive-chip 全体から取る策もあるが、誤爆避けのため慎重に。
+      // いったん空を返す（フォールバックへ）
+      return [];
+    }
+
+    if (!isElementVisible(container)) return [];
+
+    // 3. コンテナ内のチップからタイトルを収集
+    const titleEls = Array.from(container.querySelectorAll("sidebar-immersive-chip .immersive-title"));
+    const titles = titleEls.map(el => (el.textContent || "").trim()).filter(t => t.length > 0);
+
+    // 重複排除して返す
+    return Array.from(new Set(titles));
+  }
+
+  async function openFileByTitle(root, title) {
+    // 再検索：タイトルに一致するチップを探してクリック
+    // listCreatedFileTitles と同じロジックでコンテナを特定
+    const { container } = findCreatedSectionContainer(root);
+    if (!container || !isElementVisible(container)) return false;
+
+    // コンテナ内でタイトル一致するチップを探す
+    // 完全一致で検索
+    const chips = Array.from(container.querySelectorAll("sidebar-immersive-chip"));
+    const targetChip = chips.find(chip => {
+      const titleEl = chip.querySelector(".immersive-title");
+      return titleEl && (titleEl.textContent || "").trim() === title;
+    });
+
+    if (targetChip) {
+      // 仮想スクロール対策：見えていないとクリックできないことがあるためスクロールさせる
+      // Click target correction: the actual clickable element is often inside the chip
+      const clickable = targetChip.querySelector(".container, .clickable") || targetChip;
+      clickable.scrollIntoView({ block: "center", behavior: "auto" });
+      clickable.dispatchEvent(new MouseEvent("click", { bubbles: true, cancelable: true, view: window }));
+      return true;
+    }
+
+    return false;
+  }
+
+  async function ensureSidebarOpen(root) {
+    // サイドバーが開いているか確認（要素が可視ならOK）
+    const sidePanel = findSidePanel();
+    if (sidePanel && isElementVisible(sidePanel)) return;
+
+    if (findSidebarCloseButton()) return; // 既に開いている（ボタンがある）
+
+    const openSidebarBtn = findSidebarToggleButton();
+
+    if (openSidebarBtn) {
+      openSidebarBtn.click();
+      await waitFor(() => {
+        const panel = findSidePanel();
+        return !!(findSidebarCloseButton() || (panel && isElementVisible(panel)));
+      }, { timeout: 2500 });
+    }
+  }
+
+  function isElementVisible(el) {
+    if (!el) return false;
+    const style = window.getComputedStyle(el);
+    if (style.display === "none" || style.visibility === "hidden" || style.opacity === "0") {
+      return false;
+    }
+    return el.getClientRects().length > 0;
+  }
+
+  function isFileListVisible(root) {
+    const { container } = findCreatedSectionContainer(root);
+    return !!(container && isElementVisible(container));
+  }
+
+  function getMatIconName(el) {
+    if (!el) return "";
+    const iconEl = el.matches?.("mat-icon, [data-mat-icon-name]") ? el : el.querySelector?.("mat-icon, [data-mat-icon-name]");
+    if (!iconEl) return "";
+    const attr =
+      (iconEl.getAttribute("data-mat-icon-name") ||
+        iconEl.getAttribute("fonticon") ||
+        "").trim().toLowerCase();
+    const text = (iconEl.textContent || "").trim().toLowerCase();
+    return attr || text;
+  }
+
+  function buttonHasIcon(button, names = []) {
+    if (!button) return false;
+    const name = getMatIconName(button);
+    if (!name) return false;
+    return names.some((n) => name === n.toLowerCase());
+  }
+
+  // Gemini の UI の部品は、まずカスタム要素・mat-icon の名前・data 属性など表示言語に依存しない手がかりで探す。
+  // 見つからない場合に限り、下の表示言語ごとの文言（aria-label / title / 表示テキスト）で探す。
+  const CLOSE_ICONS = ["close", "cancel", "clear", "right_panel_close", "left_panel_close"];
+  const BACK_ICONS = ["arrow_back", "arrow_back_ios", "chevron_left", "keyboard_backspace"];
+  const FILES_TAB_ICONS = ["folder", "folder_open", "description"];
+  const CODE_TAB_ICONS = ["code", "code_blocks", "data_object"];
+  const PREVIEW_TAB_ICONS = ["visibility", "preview", "play_arrow", "web"];
+
+  // 表示言語ごとの文言。言語を追加するときはここに足す（ない項目は省略してよい）
+  const UI_LABELS = {
+    ja: {
+      closeSidebar: "サイドバーを閉じます",
+      created: "作成済み",
+      files: "ファイル",
+      filesList: "ファイル一覧",
+      chat: "チャット",
+      sidebar: "サイドバー",
+      toggle: "切り替え",
+      code: "コード",
+      preview: "プレビュー",
+      close: "閉じる",
+      back: "戻る",
+      open: "開く",
+    },
+    en: {
+      closeSidebar: "Close sidebar",
+      created: "Created",
+      files: "Files",
+      filesList: "Files list",
+      chat: "Chat",
+      sidebar: "sidebar",
+      toggle: "toggle",
+      code: "Code",
+      preview: "Preview",
+      close: "Close",
+      back: "Back",
+      open: "Open",
+    },
+    de: {
+      closeSidebar: "Seitenleiste schließen",
+      created: "Erstellt",
+      files: "Dateien",
+      chat: "Chat",
+      sidebar: "Seitenleiste",
+      code: "Code",
+      preview: "Vorschau",
+      close: "Schließen",
+      back: "Zurück",
+      open: "Öffnen",
+    },
+    fr: {
+      closeSidebar: "Fermer le panneau latéral",
+      created: "Créés",
+      files: "Fichiers",
+      chat: "Chat",
+      sidebar: "panneau latéral",
+      code: "Code",
+      preview: "Aperçu",
+      close: "Fermer",
+      back: "Retour",
+      open: "Ouvrir",
+    },
+    es: {
+      closeSidebar: "Cerrar barra lateral",
+      created: "Creados",
+      files: "Archivos",
+      chat: "Chat",
+      sidebar: "barra lateral",
+      code: "Código",
+      preview: "Vista previa",
+      close: "Cerrar",
+      back: "Atrás",
+      open: "Abrir",
+    },
+    ko: {
+      closeSidebar: "사이드바 닫기",
+      created: "생성됨",
+      files: "파일",
+      chat: "채팅",
+      sidebar: "사이드바",
+      code: "코드",
+      preview: "미리보기",
+      close: "닫기",
+      back: "뒤로",
+      open: "열기",
+    },
+  };
+
+  // ページの表示言語は決め打ちせず、すべての言語の文言と照合する
+  function getUiLabels(names) {
+    return Object.values(UI_LABELS)
+      .flatMap((labels) => names.map((name) => labels[name]))
+      .filter(Boolean)
+      .map((label) => label.toLowerCase());
+  }
+
+  // exact なら全体が一致、そうでなければ部分一致（大文字小文字は区別しない）
+  function matchesUiLabel(value, names, { exact = false } = {}) {
+    const text = (value || "").trim().toLowerCase();
+    if (!text) return false;
+    return getUiLabels(names).some((label) => (exact ? text === label : text.includes(label)));
+  }
+
+  function findButtonByUiLabel(scope, names) {
+    return (
+      Array.from(scope.querySelectorAll("button")).find(
+        (btn) => matchesUiLabel(btn.getAttribute("aria-label"), names) || matchesUiLabel(btn.title, names)
+      ) || null
+    );
+  }
+
+  // Canvas のファイル一覧（サイドバー）の閉じるボタン。開いているかどうかの判定にも使う
+  // パネルを閉じる専用のアイコンはどのサイドバーでも、汎用の close アイコンは Canvas のファイル一覧を持つものに限って見る
+  function findSidebarCloseButton() {
+    for (const panel of document.querySelectorAll("side-navigation-v2, aside")) {
+      const icons = panel.querySelector(".source-container, sidebar-immersive-chip, [data-section-id]")
+        ? ["right_panel_close", "left_panel_close", "close"]
+        : ["right_panel_close", "left_panel_close"];
+      const button = Array.from(panel.querySelectorAll("button")).find((btn) => buttonHasIcon(btn, icons));
+      if (button) return button;
+    }
+    const labels = getUiLabels(["closeSidebar"]);
+    return (
+      Array.from(document.querySelectorAll("button[aria-label]")).find((btn) =>
+        labels.includes(btn.getAttribute("aria-label").trim().toLowerCase())
+      ) || null
+    );
+  }
+
+  function findSidebarToggleButton() {
+    // 最優先: data-test-id で特定（言語非依存、意図したボタンのみ）
+    const dataTestIcon = document.querySelector('mat-icon[data-test-id="studio-sidebar-icon"]');
+    if (dataTestIcon) {
+      const btn = dataTestIcon.closest("button");
+      if (btn) return btn;
+    }
+
+    const explicit = document.querySelector("studio-sidebar-button button");
+    if (explicit) return explicit;
+
+    const candidates = Array.from(document.querySelectorAll("button"));
+    return (
+      candidates.find((btn) => {
+        // サイドナビ内やメインメニューのトグルは避ける
+        if (btn.closest("side-navigation-v2, nav")) {
+          if (buttonHasIcon(btn, ["menu"])) return false;
+        }
+        // アイコンで判定（home_storage が最も安定）
+        if (buttonHasIcon(btn, ["home_storage", "folder_open"])) return true;
+        return matchesUiLabel(btn.getAttribute("aria-label"), ["sidebar"]);
+      }) || null
+    );
+  }
+
+  function findImmersivePanel() {
+    return (
+      document.querySelector("code-immersive-panel") ||
+      document.querySelector("immersive-panel")
+    );
+  }
+
+  function isImmersivePanelOpen() {
+    const panel = findImmersivePanel();
+    return !!(panel && isElementVisible(panel));
+  }
+
+  function getCanvasActiveTab() {
+    const panel = findImmersivePanel();
+    if (!panel) return null;
+    const tabs = Array.from(panel.querySelectorAll('button[role="tab"], button[role="radio"]'));
+    const active = tabs.find((t) => {
+      const attrs = [
+        t.getAttribute("aria-selected"),
+        t.getAttribute("aria-pressed"),
+        t.getAttribute("aria-checked"),
+      ];
+      return attrs.some((v) => v === "true");
+    });
+    return active ? getCanvasTabKind(active) : null;
+  }
+
+  // Canvas のプレビュー/コードの切り替えボタンの種類。アイコンで判定し、なければ表示名で判定する
+  function getCanvasTabKind(tab) {
+    if (buttonHasIcon(tab, CODE_TAB_ICONS)) return "code";
+    if (buttonHasIcon(tab, PREVIEW_TAB_ICONS)) return "preview";
+    if (matchesUiLabel(tab.textContent, ["preview"])) return "preview";
+    if (matchesUiLabel(tab.textContent, ["code"])) return "code";
+    return null;
+  }
+
+  function selectCanvasTab(panel, tabName) {
+    if (!panel || !tabName) return;
+    const tabs = Array.from(panel.querySelectorAll('button[role="tab"], button[role="radio"]'));
+    const target = tabs.find((t) => getCanvasTabKind(t) === tabName);
+    if (!target) return;
+    const attrs = [
+      target.getAttribute("aria-selected"),
+      target.getAttribute("aria-pressed"),
+      target.getAttribute("aria-checked"),
+    ];
+    const already = attrs.some((v) => v === "true");
+    if (!already) target.click();
+  }
+
+  async function closeImmersivePanel() {
+    const panel = findImmersivePanel();
+    if (!panel) return true;
+
+    const closeBtn =
+      panel.querySelector("button.close-button") ||
+      Array.from(panel.querySelectorAll("button")).find((btn) => buttonHasIcon(btn, CLOSE_ICONS)) ||
+      findButtonByUiLabel(panel, ["close"]);
+
+    if (closeBtn) {
+      closeBtn.click();
+      const closed = await waitFor(() => !isImmersivePanelOpen(), {
+        timeout: 2000,
+        interval: 100,
+      });
+      return !!closed;
+    }
+
+    return !isImmersivePanelOpen();
+  }
+
+  function findSidePanel() {
+    // 1. 閉じるボタンから親を辿る（ロケール依存しないアイコンでクリック済みでも最も確実）
+    const closeBtn = findSidebarCloseButton() || document.querySelector("button.close-button");
+    if (closeBtn) {
+      return (
+        closeBtn.closest("side-navigation-v2") ||
+        closeBtn.closest("aside") ||
+        closeBtn.closest(".content")
+      );
+    }
+
+    // 2. 構造ベースで side-navigation-v2 / aside を優先
+    const candidates = Array.from(document.querySelectorAll("side-navigation-v2, aside"));
+    const withContent = candidates.find((el) => {
+      return (
+        el.querySelector(".source-container") ||
+        el.querySelector("sidebar-immersive-chip") ||
+        el.querySelector("[data-section-id]")
+      );
+    });
+    if (withContent) return withContent;
+
+    // 3. テキストベースは最後のフォールバック（表示言語ごとの文言で判定）
+    return (
+      candidates.find((el) => {
+        const text = el.textContent;
+        return (
+          (matchesUiLabel(text, ["files"]) && !matchesUiLabel(text, ["chat"])) ||
+          matchesUiLabel(text, ["created"])
+        );
+      }) || null
+    );
+  }
+
+  function clickBackButton(scope) {
+    if (!scope) return false;
+    const button =
+      Array.from(scope.querySelectorAll("button")).find((btn) => buttonHasIcon(btn, BACK_ICONS)) ||
+      findButtonByUiLabel(scope, ["back"]);
+    if (!button) return false;
+    button.click();
+    return true;
+  }
+
+  function clickFilesTab(scope) {
+    if (!scope) return false;
+    const buttons = Array.from(scope.querySelectorAll('button[role="tab"], button[role="radio"], button'));
+    const target =
+      buttons.find((btn) => buttonHasIcon(btn, FILES_TAB_ICONS)) ||
+      buttons.find((btn) => {
+        const value = (btn.textContent || "").trim() || btn.getAttribute("aria-label");
+        if (matchesUiLabel(value, ["sidebar"])) return false;
+        return matchesUiLabel(value, ["files"], { exact: true }) || matchesUiLabel(value, ["filesList"]);
+      });
+    if (target) {
+      target.click();
+      return true;
+    }
+    return false;
+  }
+
+  async function ensureFileListVisible(root) {
+    if (isFileListVisible(root)) return true;
+
+    const sidePanel = findSidePanel();
+    if (sidePanel) {
+      if (clickBackButton(sidePanel)) {
+        const ok = await waitFor(() => isFileListVisible(root), { timeout: 1500, interval: 100 });
+        if (ok) return true;
+      }
+      if (clickFilesTab(sidePanel)) {
+        const ok = await waitFor(() => isFileListVisible(root), { timeout: 1500, interval: 100 });
+        if (ok) return true;
+      }
+    }
+
+    // Fallback: サイドバーを閉じて開き直す
+    const closeBtn = findSidebarCloseButton();
+    if (closeBtn) {
+      closeBtn.click();
+      await waitFor(() => !findSidebarCloseButton(), { timeout: 1500, interval: 100 });
+    }
+    await ensureSidebarOpen(root);
+    return isFileListVisible(root);
+  }
+
+  // signal が中断されたら待たずに null を返す
+  async function waitFor(fn, { timeout = 8000, interval = 100, signal = null } = {}) {
+    const start = Date.now();
+    while (Date.now() - start < timeout && !signal?.aborted) {
+      try {
+        const result = await fn();
+        if (result) return result;
+      } catch (e) {
+        // ignore transient errors
+      }
+      await new Promise((r) => setTimeout(r, interval));
+    }
+    return null;
+  }
+
+  function getCanvasSidebarItems(root) {
+    const sidePanel = findSidePanel();
+
+    // フォールバック: 全体探索は危険なのでやめる。見つからなければ空を返す。
+    if (!sidePanel) return { items: [], sidePanel: null };
+
+    // ボタン取得
+    // fallbackとして使うので一応残すが、メインは listCreatedFileTitles に移行したため
+    // 使われないが、万が一のために残しておく
+    const buttons = Array.from(sidePanel.querySelectorAll("button"));
+    const items = buttons.filter((btn) => {
+      const text = (btn.textContent || "").trim();
+      const aria = btn.getAttribute("aria-label");
+
+      // まずアイコンだけのボタンは落とす（closeなどが混ざる可能性）
+      // ただし、ファイル名がアイコンのみで表現されることは稀なので、textありが前提
+      if (!text) return false;
+
+      // 明確に除外したい操作系
+      if (buttonHasIcon(btn, CLOSE_ICONS) || matchesUiLabel(aria, ["close", "toggle"])) return false;
+
+      // ファイル名っぽいものだけ (拡張子がある、または特定のキーワードがないなど)
+      // 厳格に拡張子チェックをする
+      return /\.(html|css|js|py|json|ts|jsx|tsx|java|c|cpp|txt|md|sql|rb|go|rs|php)$/i.test(
+        text
+      );
+    });
+
+    return { items, sidePanel };
+  }
+
+  function ensureCodeTabSelected(scopeEl) {
+    // "Code" (コード) タブ/トグルを探してクリック
+    // role="tab" or role="radio" を優先。mat-button-toggle-group にも対応。
+    const root = scopeEl || document;
+    const tabs = Array.from(
+      root.querySelectorAll('button[role="tab"], button[role="radio"]')
+    );
+    const codeTab = tabs.find((t) => getCanvasTabKind(t) === "code");
+    if (!codeTab) return;
+
+    const selectedStates = [
+      codeTab.getAttribute("aria-selected"),
+      codeTab.getAttribute("aria-pressed"),
+      codeTab.getAttribute("aria-checked"),
+    ];
+    const isSelected = selectedStates.some((v) => v === "true");
+    if (!isSelected) {
+      codeTab.click();
+    }
+  }
+
+  async function tryClickOpenButton(root) {
+    const openButtons = Array.from(root.querySelectorAll('button'));
+    const targetBtn = openButtons.find(b => {
+      return matchesUiLabel(b.textContent, ["open"], { exact: true }) || b.getAttribute("aria-label")?.includes("Canvas");
+    });
+    if (targetBtn) {
+      targetBtn.click();
+      return true;
+    }
+    return false;
+  }
+
+  function checkForCanvasReference(root) {
+    // 「開く」ボタンやアーティファクトのチップを探す簡易チェック
+    // クラス名は変わりやすいため、テキストやaria-labelも補助的に使う
+    if (findTurnCanvasChips(root).length > 0) return true;
+    const candidates = Array.from(root.querySelectorAll('button, [role="button"], mat-chip'));
+    return candidates.some(el => {
+      const text = (el.textContent || "").trim();
+      const label = (el.getAttribute("aria-label") || "").trim();
+      return (
+        text.includes("Canvas") ||
+        matchesUiLabel(text, ["open"], { exact: true }) ||
+        label.includes("Canvas") ||
+        (text.endsWith(".html") || text.endsWith(".js") || text.endsWith(".py")) && el.closest('.artifact-chip')
+      );
+    });
+  }
+
+  // 各 Canvas を、そのファイルのチップがある最後のターン（最終版を作ったターン）の直後に差し込む。
+  // それより前のターンにはその位置へのリンクだけを置く。差し込んだ Canvas を返す
+  function placeCanvasesInline(output, slots, canvases, { formatCanvas, text }) {
+    const inserts = new Map();
+    const placed = new Set();
+    for (const canvas of canvases) {
+      const matched = slots.filter((slot) => slot.titles.includes(canvas.title));
+      if (matched.length === 0) continue;
+      const last = matched[matched.length - 1];
+      for (const slot of matched) {
+        const entries = inserts.get(slot) || [];
+        entries.push(slot === last ? formatCanvas(canvas) : formatCanvasReference(canvas, text));
+        inserts.set(slot, entries);
+      }
+      placed.add(canvas);
+    }
+    // 後ろから差し込めば、前のターンの挿入位置はずれない
+    for (const slot of [...inserts.keys()].reverse()) {
+      output.splice(slot.position, 0, ...inserts.get(slot).flatMap((entry) => [entry, ""]));
+    }
+    return placed;
+  }
+
+  function formatCanvasReference({ title }, text) {
+    const heading = text("outputCanvasHeading", { title });
+    return `> ${text("outputCanvasReference")}: [${title}](#${toHeadingAnchor(heading)})`;
+  }
+
+  // GitHub などと同じ規則で見出しのアンカーを作る
+  function toHeadingAnchor(text) {
+    return text
+      .trim()
+      .toLowerCase()
+      .replace(/[^\p{L}\p{N}\s_-]/gu, "")
+      .replace(/\s/g, "-");
+  }
+
+  function formatCanvasSection({ title, lang, code, kind }, text) {
+    const heading = `## ${text("outputCanvasHeading", { title })}`;
+    // ドキュメント Canvas は Markdown のまま載せ、見出しは "## Canvas:" の下に収まるよう2段下げる
+    if (kind === "document") return `${heading}\n\n${shiftMarkdownHeadings(code, 2)}`;
+    const fence = makeFence(code);
+    return `${heading}\n\n${fence}${lang}\n${code}\n${fence}`;
+  }
+
+  // ATX 見出しの # を offset 個増やす（h6 まで）。コードブロックの中は変えない
+  function shiftMarkdownHeadings(markdown, offset) {
+    let fence = null;
+    return String(markdown)
+      .split("\n")
+      .map((line) => {
+        const fenceMatch = line.match(/^ {0,3}(`{3,}|~{3,})/);
+        if (fence) {
+          if (fenceMatch && fenceMatch[1][0] === fence[0] && fenceMatch[1].length >= fence.length) fence = null;
+          return line;
+        }
+        if (fenceMatch) {
+          fence = fenceMatch[1];
+          return line;
+        }
+        return line.replace(/^( {0,3})(#{1,6})(?=\s|$)/, (m, indent, hashes) =>
+          `${indent}${"#".repeat(Math.min(6, hashes.length + offset))}`
+        );
+      })
+      .join("\n");
+  }
+
+  // ターン内の Canvas チップを古い順に開き、その時点の内容を版として集める。
+  // 戻り値: [{ title, lang, versions: [{ version, turn, code, diff }] }]
+  // 内容が変わらなかった版はまとめ、diff は直前の版との unified diff（最初の版は null）
+  async function extractCanvasHistory(
+    root,
+    canvasTurns,
+    { onProgress = () => {}, signal = null, deadline = Date.now() + CANVAS_TIME_LIMIT_MS, text }
+  ) {
+    const uiState = captureUiState(root);
+    const files = new Map();
+
+    const chips = canvasTurns.flatMap(({ node, turn }) =>
+      findTurnCanvasChips(node).map((chip, i) => ({ node, turn, i, title: getCanvasChipTitle(chip) }))
+    );
+
+    try {
+      for (const [n, { node, turn, i, title }] of chips.entries()) {
+        if (signal?.aborted || Date.now() > deadline) break;
+        onProgress({ phase: "canvasHistory", current: n + 1, total: chips.length, title });
+
+        // 再描画で要素が差し替わることがあるため、クリック直前に探し直す
+        const chip = findTurnCanvasChips(node)[i];
+        const target = chip?.querySelector('button, [role="button"]') || chip;
+        if (!target) continue;
+        target.click();
+
+        const content = await waitForStableCanvasContent(title, { signal });
+        if (!content) {
+          console.warn(`Failed to read canvas version: ${title} (turn ${turn})`);
+          continue;
+        }
+
+        const key = title || content.title;
+        if (!files.has(key)) files.set(key, { title: key, lang: content.lang, versions: [] });
+        const file = files.get(key);
+        const last = file.versions[file.versions.length - 1];
+        if (last && last.code === content.code) continue;
+        const version = file.versions.length + 1;
+        const diff = last
+          ? createUnifiedDiff(last.code, content.code, {
+              oldLabel: `${key} (${text("outputCanvasVersion", { version: last.version })})`,
+              newLabel: `${key} (${text("outputCanvasVersion", { version })})`,
+            })
+          : null;
+        file.versions.push({ version, turn, code: content.code, diff });
+      }
+    } finally {
+      await restoreUiState(root, uiState);
+    }
+
+    return Array.from(files.values());
+  }
+
+  // チップを押してから Monaco の内容が切り替わるまで少しかかるため、2回続けて同じ内容が読めるまで待つ
+  async function waitForStableCanvasContent(title, { signal = null } = {}) {
+    let previous = null;
+    return waitFor(
+      async () => {
+        // 別のファイルが開いたままなら切り替わるまで待つ
+        const shownTitle = document.querySelector('div[class*="title-m"]')?.textContent.trim();
+        if (title && shownTitle && shownTitle !== title) return null;
+        const content = await getCanvasContent({ titleFallback: title || undefined });
+        if (!content) return null;
+        const stable = previous && previous.code === content.code;
+        previous = content;
+        return stable ? content : null;
+      },
+      { timeout: 5000, interval: 300, signal }
+    );
+  }
+
+  function formatCanvasHistory({ title, lang, versions }, text) {
+    const lines = [`## ${text("outputCanvasHistoryHeading", { title })}`];
+    for (const { version, turn, code, diff } of versions) {
+      lines.push("", `### ${text("outputCanvasVersionTurn", { version, turn })}`);
+      if (diff) {
+        const diffFence = makeFence(diff);
+        lines.push("", `${diffFence}diff`, diff, diffFence);
+      }
+      const fence = makeFence(code);
+      lines.push("", `${fence}${lang}`, code, fence);
+    }
+    return lines.join("\n");
+  }
+
+  // 行単位の unified diff（前後3行のコンテキスト付き）
+  function createUnifiedDiff(oldText, newText, { oldLabel = "a", newLabel = "b", context = 3 } = {}) {
+    const a = String(oldText).split("\n");
+    const b = String(newText).split("\n");
+    const ops = diffLines(a, b);
+
+    const lines = [`--- ${oldLabel}`, `+++ ${newLabel}`];
+    const changed = ops.map((op, i) => (op.type === " " ? -1 : i)).filter((i) => i >= 0);
+    if (changed.length === 0) return lines.join("\n");
+
+    // 近い変更同士はコンテキストが重なるので1つのハンクにまとめる
+    const hunks = [];
+    for (const i of changed) {
+      const last = hunks[hunks.length - 1];
+      if (last && i - last.end <= context * 2) {
+        last.end = i;
+      } else {
+        hunks.push({ start: i, end: i });
+      }
+    }
+
+    for (const hunk of hunks) {
+      const from = Math.max(0, hunk.start - context);
+      const to = Math.min(ops.length, hunk.end + context + 1);
+      const before = ops.slice(0, from);
+      const body = ops.slice(from, to);
+      const oldStart = before.filter((op) => op.type !== "+").length;
+      const newStart = before.filter((op) => op.type !== "-").length;
+      const oldCount = body.filter((op) => op.type !== "+").length;
+      const newCount = body.filter((op) => op.type !== "-").length;
+      const range = (start, count) => `${count === 0 ? start : start + 1},${count}`;
+      lines.push(`@@ -${range(oldStart, oldCount)} +${range(newStart, newCount)} @@`);
+      for (const op of body) lines.push(`${op.type}${op.line}`);
+    }
+    return lines.join("\n");
+  }
+
+  function diffLines(a, b) {
+    let prefix = 0;
+    while (prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) prefix++;
+    let suffix = 0;
+    while (
+      suffix < a.length - prefix &&
+      suffix < b.length - prefix &&
+      a[a.length - 1 - suffix] === b[b.length - 1 - suffix]
+    ) {
+      suffix++;
+    }
+
+    const same = (lines) => lines.map((line) => ({ type: " ", line }));
+    const midA = a.slice(prefix, a.length - suffix);
+    const midB = b.slice(prefix, b.length - suffix);
+    const n = midA.length;
+    const m = midB.length;
+    const middle = [];
+
+    if (n * m > 4_000_000) {
+      // 大きすぎるファイルは LCS を取らず、まとめて置き換えとして扱う
+      middle.push(...midA.map((line) => ({ type: "-", line })), ...midB.map((line) => ({ type: "+", line })));
+    } else {
+      // lcs[i * (m + 1) + j] = midA[i..] と midB[j..] の最長共通部分列の長さ
+      const lcs = new Uint32Array((n + 1) * (m + 1));
+      for (let i = n - 1; i >= 0; i--) {
+        for (let j = m - 1; j >= 0; j--) {
+          lcs[i * (m + 1) + j] =
+            midA[i] === midB[j]
+              ? lcs[(i + 1) * (m + 1) + j + 1] + 1
+              : Math.max(lcs[(i + 1) * (m + 1) + j], lcs[i * (m + 1) + j + 1]);
+        }
+      }
+      let i = 0;
+      let j = 0;
+      while (i < n && j < m) {
+        if (midA[i] === midB[j]) {
+          middle.push({ type: " ", line: midA[i] });
+          i++;
+          j++;
+        } else if (lcs[(i + 1) * (m + 1) + j] >= lcs[i * (m + 1) + j + 1]) {
+          middle.push({ type: "-", line: midA[i++] });
+        } else {
+          middle.push({ type: "+", line: midB[j++] });
+        }
+      }
+      while (i < n) middle.push({ type: "-", line: midA[i++] });
+      while (j < m) middle.push({ type: "+", line: midB[j++] });
+    }
+
+    return [...same(a.slice(0, prefix)), ...middle, ...same(a.slice(a.length - suffix))];
+  }
+
+  function formatSkippedCanvasNote(titles, { cancelled, text }) {
+    const reason = text(cancelled ? "outputCanvasCancelled" : "outputCanvasUnreadable");
+    return ["> [!WARNING]", `> **${reason}** ${text("outputCanvasSkipped", { titles: titles.join(", ") })}`].join("\n");
+  }
+
+  function formatCanvasLink({ title, path }, text) {
+    return `## ${text("outputCanvasHeading", { title })}\n\n[${path}](${encodeURI(path)})`;
+  }
+
+  // ZIP に書き出すときのファイルパスを決める。タイトルをそのままファイル名とし、
+  // 拡張子がなければ言語から補い、重複や conversation.md との衝突は連番で避ける
+  function assignCanvasPaths(canvases) {
+    const used = new Set(["conversation.md"]);
+    return canvases.map((canvas) => {
+      const segments = String(canvas.title)
+        .split("/")
+        .map((segment) =>
+          segment
+            .replace(/[\u0000-\u001f\u007f<>:"\\|?*]/g, "_")
+            .trim()
+            .replace(/^[.\s]+|[.\s]+$/g, "")
+        )
+        .filter(Boolean);
+      let name = segments.pop() || "canvas";
+      if (!/\.[a-z0-9]+$/i.test(name)) name = `${name}.${getCanvasExtension(canvas.lang)}`;
+      const dir = segments.length > 0 ? `${segments.join("/")}/` : "";
+
+      let path = `${dir}${name}`;
+      for (let n = 2; used.has(path.toLowerCase()); n++) {
+        path = `${dir}${name.replace(/(\.[^.]+)?$/, ` (${n})$1`)}`;
+      }
+      used.add(path.toLowerCase());
+      return { ...canvas, path };
+    });
+  }
+
+  function getCanvasExtension(lang) {
+    const extensions = {
+      javascript: "js",
+      typescript: "ts",
+      python: "py",
+      markdown: "md",
+      shell: "sh",
+      bash: "sh",
+      rust: "rs",
+      ruby: "rb",
+      kotlin: "kt",
+      csharp: "cs",
+      plaintext: "txt",
+    };
+    const name = String(lang || "").toLowerCase();
+    if (extensions[name]) return extensions[name];
+    return /^[a-z0-9]+$/.test(name) ? name : "txt";
+  }
+
+  // 戻り値: { title, lang, code, kind }。kind は "code"（コードエディタ） / "document"（リッチテキスト）
+  // ドキュメントの code は Markdown で、HTML エクスポート用の html も付ける
+  async function getCanvasContent({ titleFallback } = {}) {
+    try {
+      // ドキュメント形式の Canvas は Monaco を持たないため、エディタの DOM を Markdown に変換する
+      const documentEditor = findDocumentCanvasEditor();
+      if (documentEditor) {
+        const markdown = cleanupMarkdown(htmlToMarkdown(documentEditor)).trim();
+        if (!markdown) return null;
+        // HTML エクスポートではターンと同じく安全な HTML で表示する（見出しは Markdown と同じく2段下げる）
+        const html = htmlToSafeHtml(documentEditor, { headingOffset: 2 });
+        return { title: getCanvasPanelTitle(titleFallback), lang: "markdown", code: markdown, html, kind: "document" };
+      }
+
+      // 1) Monaco のモデルから直接取得（最も確実）
+      ensureCodeTabSelected(document);
+      const monacoContent = getMonacoModelContent();
+      let codeText = monacoContent?.code || null;
+      let lang = monacoContent?.lang || "";
+      let lineCount = monacoContent?.lineCount ?? null;
+
+      // 2) モデルが取れない場合、または行数が極端に少ない場合は DOM をスクロールしながら全行を吸い上げる
+      if (!codeText || (lineCount !== null && lineCount <= 1)) {
+        const domText = await readMonacoDomText();
+        if (domText) {
+          codeText = domText;
+          const domLines = domText.split("\n").length;
+          if (lineCount !== null && domLines > 1) {
+            lineCount = domLines;
+          }
+        }
+      }
+
+      // 3) それでも1行しかない場合は、再トライしてみる（プレビュー→コード切替直後の遅延対策）
+      if (codeText && codeText.split("\n").length <= 1) {
+        const retryDom = await readMonacoDomText();
+        if (retryDom && retryDom.split("\n").length > 1) {
+          codeText = retryDom;
+        }
+      }
+
+      if (!codeText) return null;
+
+      const title = getCanvasPanelTitle(titleFallback);
+
+      // 言語推定（モデルが教えてくれた場合を優先）
+      if (!lang) {
+        if (title.endsWith(".js") || title.endsWith(".ts")) lang = "javascript";
+        else if (title.endsWith(".py")) lang = "python";
+        else if (title.endsWith(".html")) lang = "html";
+        else if (title.endsWith(".css")) lang = "css";
+        else if (title.endsWith(".json")) lang = "json";
+        else if (title.endsWith(".md")) lang = "markdown";
+      }
+
+      return { title, lang, code: codeText, kind: "code" };
+    } catch (e) {
+      console.warn("Canvas content extraction failed:", e);
+      return null;
+    }
+  }
+
+  // タイトル（ファイル名）の取得を試みる
+  function getCanvasPanelTitle(titleFallback) {
+    if (titleFallback) return titleFallback;
+    const titleEl = document.querySelector('div[class*="title-m"]');
+    return titleEl?.textContent?.trim() || "Canvas Content";
+  }
+
+  // 表示中のドキュメント Canvas のエディタ（ProseMirror）。コードエディタが見えているときは null
+  function findDocumentCanvasEditor() {
+    const hasVisibleCode = Array.from(document.querySelectorAll(".monaco-editor")).some(isElementVisible);
+    if (hasVisibleCode) return null;
+    const editors = document.querySelectorAll(
+      'immersive-editor .ProseMirror, .immersive-editor .ProseMirror, immersive-panel [contenteditable="true"]'
+    );
+    return Array.from(editors).find(isElementVisible) || null;
+  }
+
+  // Content Script (ISOLATED world) からは window.monaco が見えないため、
+  // page-bridge.js (MAIN world) にイベントで問い合わせる。dispatchEvent は同期的に処理される。
+  function getMonacoModelContent() {
+    let response = null;
+    const onResponse = (e) => {
+      try {
+        response = JSON.parse(e.detail);
+      } catch (err) {
+        console.warn("Failed to read Monaco model content:", err);
+      }
+    };
+    document.addEventListener("gemini-thread-to-markdown:monaco-response", onResponse);
+    try {
+      document.dispatchEvent(new CustomEvent("gemini-thread-to-markdown:monaco-request"));
+    } finally {
+      document.removeEventListener("gemini-thread-to-markdown:monaco-response", onResponse);
+    }
+    return response;
+  }
+
+  async function readMonacoDomText() {
+    // 可視のMonaco editorに限定（Previewで隠れているeditorを拾わない）
+    const editorRoot =
+      Array.from(document.querySelectorAll(".monaco-editor")).find((el) => isElementVisible(el)) ||
+      null;
+    if (!editorRoot) return null;
+
+    const readLines = () =>
+      Array.from(editorRoot.querySelectorAll(".view-lines .view-line")).map((n) =>
+        (n.textContent || "").replace(/\s+$/, "")
+      );
+
+    const scrollable = editorRoot.querySelector(".scrollable-element");
+    let lines = readLines();
+    if (!scrollable) {
+      const text = lines.join("\n").trim();
+      return text || null;
+    }
+
+    const originalTop = scrollable.scrollTop;
+    const maxTop = Math.max(0, scrollable.scrollHeight - scrollable.clientHeight);
+    const step = Math.max(200, Math.floor(scrollable.clientHeight * 0.8));
+    const collected = [];
+
+    const pushLines = () => {
+      const chunk = readLines();
+      for (const l of chunk) {
+        collected.push(l);
+      }
+    };
+
+    const nextFrame = () => new Promise((r) => requestAnimationFrame(() => requestAnimationFrame(r)));
+
+    // スクロールしながら行を収集（描画反映を待ちながら）
+    pushLines();
+    for (let pos = 0; pos <= maxTop; pos += step) {
+      scrollable.scrollTop = pos;
+      await nextFrame();
+      pushLines();
+    }
+    scrollable.scrollTop = maxTop;
+    await nextFrame();
+    pushLines();
+    scrollable.scrollTop = originalTop; // 可能な範囲で元位置に戻す
+
+    // 連続重複を圧縮（仮想スクロールの重複対策）
+    const compressed = [];
+    for (const l of collected) {
+      if (compressed.length === 0 || compressed[compressed.length - 1] !== l) {
+        compressed.push(l);
+      }
+    }
+
+    const text = compressed.join("\n").trim();
+    return text || null;
+  }
+
+  function getThreadTitle() {
+    const raw = (document.title || "").trim();
+    const cleaned = raw.replace(/^Gemini\s*-\s*/i, "").trim();
+    return cleaned || "Gemini";
+  }
+
+  // selectors はサイトプロファイルのセレクタ（site-profile.js）
+  function collectConversationNodes(searchRoot, selectors = siteProfile.selectors) {
+    let candidates = queryAllSelectors(searchRoot, [...selectors.userTurn, ...selectors.modelTurn]);
+
+    // 追加フォールバック: 会話ターンがまとめられている場合
+    if (candidates.length === 0) {
+      const turns = queryAllSelectors(searchRoot, selectors.turnContainer);
+      candidates = turns.filter((el) => (el.textContent || "").trim().length > 0);
+    }
+
+    candidates = uniqueElements(candidates).sort(compareDomOrder);
+    candidates = removeContainedElements(candidates);
+    return candidates;
+
+    function uniqueElements(elements) {
+      const out = [];
+      const seen = new Set();
+      for (const el of elements) {
+        if (!el || seen.has(el)) continue;
+        seen.add(el);
+        out.push(el);
+      }
+      return out;
+    }
+
+    function removeContainedElements(sortedElements) {
+      const out = [];
+      for (const el of sortedElements) {
+        let contained = false;
+        for (const prev of out) {
+          if (prev.contains(el)) {
+            contained = true;
+            break;
+          }
+        }
+        if (!contained) out.push(el);
+      }
+      return out;
+    }
+
+    function compareDomOrder(a, b) {
+      if (a === b) return 0;
+      const pos = a.compareDocumentPosition(b);
+      if (pos & Node.DOCUMENT_POSITION_FOLLOWING) return -1;
+      if (pos & Node.DOCUMENT_POSITION_PRECEDING) return 1;
+      return 0;
+    }
+  }
+
+  function getSpeaker(node, selectors = siteProfile.selectors) {
+    if (matchesAnySelector(node, selectors.userTurn)) return "User";
+    if (matchesAnySelector(node, selectors.modelTurn)) return "Gemini";
+
+    const classText = String(node.className || "");
+    if (/user/i.test(classText)) return "User";
+    return "Gemini";
+  }
+
+  // セレクタは1つずつ試し、不正なセレクタ（設定ページで入力途中のものなど）は飛ばす
+  function queryAllSelectors(root, selectors) {
+    return selectors.flatMap((selector) => {
+      try {
+        return Array.from(root.querySelectorAll?.(selector) ?? []);
+      } catch {
+        return [];
+      }
+    });
+  }
+
+  function matchesAnySelector(node, selectors) {
+    return selectors.some((selector) => {
+      try {
+        return !!node.matches?.(selector);
+      } catch {
+        return false;
+      }
+    });
+  }
+
+  function getBestContentNode(node, selectors = siteProfile.selectors) {
+    for (const sel of selectors.content) {
+      const [el] = queryAllSelectors(node, [sel]);
+      if (el && (el.textContent || "").trim().length > 0) return el;
+    }
+    return node;
+  }
+
+  function htmlToMarkdown(element, { citations = null, images = null } = {}) {
+    if (!element) return "";
+
+    const clone = prepareContentClone(element, {
+      citations,
+      renderMarker: (number) => document.createTextNode(`[^${number}]`),
+    });
+
+    const md = convertChildren(clone, {
+      listDepth: 0,
+      inBlockquote: false,
+    });
+
+    return md;
+
+    function convertChildren(parent, ctx) {
+      const parts = [];
+      for (const child of parent.childNodes) {
+        parts.push(convertNode(child, ctx));
+      }
+      return parts.join("");
+    }
+
+    function convertNode(node, ctx) {
+      if (!node) return "";
+      if (node.nodeType === Node.TEXT_NODE) {
+        return convertText(node);
+      }
+      if (node.nodeType !== Node.ELEMENT_NODE) return "";
+
+      const el = node;
+      const tag = el.tagName.toLowerCase();
+
+      if (tag === "br") return "\n";
+
+      if (tag === "h1" || tag === "h2" || tag === "h3" || tag === "h4" || tag === "h5" || tag === "h6") {
+        const level = Number(tag.slice(1));
+        const text = cleanupMarkdownInline(convertChildren(el, ctx)).trim();
+        if (!text) return "";
+        return `\n${"#".repeat(level)} ${text}\n\n`;
+      }
+
+      if (tag === "p") {
+        const text = cleanupMarkdownInline(convertChildren(el, ctx)).trim();
+        if (!text) return "";
+        return `${text}\n\n`;
+      }
+
+      if (tag === "hr") return "\n---\n\n";
+
+      if (tag === "blockquote") {
+        const inner = cleanupMarkdown(convertChildren(el, { ...ctx, inBlockquote: true })).trim();
+        if (!inner) return "";
+        const lines = inner.split("\n").map((l) => (l ? `> ${l}` : ">"));
+        return `\n${lines.join("\n")}\n\n`;
+      }
+
+      if (tag === "pre" && ctx.inTable) {
+        // テーブルセル内ではフェンスを使えないため1行のインラインコードにする
+        const text = (el.textContent || "").replace(/\s+/g, " ").trim();
+        if (!text) return "";
+        const fence = makeInlineFence(text);
+        return `${fence}${text}${fence}`;
+      }
+
+      if (tag === "pre") {
+        const codeEl = el.querySelector("code");
+        const lang = detectLanguage(el, codeEl);
+        const code = (codeEl ? codeEl.textContent : el.textContent) || "";
+        const normalized = normalizeCode(code);
+        if (!normalized.trim()) return "";
+        const fence = makeFence(normalized);
+        const langPart = lang ? lang : "";
+        return `\n${fence}${langPart}\n${normalized}\n${fence}\n\n`;
+      }
+
+      if (tag === "code") {
+        // inline code（pre直下は pre で処理される）
+        const text = (el.textContent || "").replace(/\s+/g, " ").trim();
+        if (!text) return "";
+        const fence = makeInlineFence(text);
+        return `${fence}${text}${fence}`;
+      }
+
+      if (tag === "a") {
+        const href = el.getAttribute("href") || "";
+        const text = cleanupMarkdownInline(convertChildren(el, ctx)).trim() || href;
+        if (!href) return text;
+        if (href.startsWith("javascript:")) return text;
+        const url = toAbsoluteUrl(href);
+        return `[${text}](${url})`;
+      }
+
+      if (tag === "img") {
+        const src = el.getAttribute("src") || "";
+        // 取得済みの画像は data URI / assets/ のパスに置き換える。未取得の data URI は長すぎるため出さない
+        const resolved = images?.get(src);
+        if (!resolved && (!src || src.startsWith("data:"))) return "";
+        const alt = (el.getAttribute("alt") || "image").trim();
+        return `![${alt}](${resolved || toAbsoluteUrl(src)})`;
+      }
+
+      if (tag === "strong" || tag === "b") {
+        const inner = cleanupMarkdownInline(convertChildren(el, ctx)).trim();
+        if (!inner) return "";
+        return `**${inner}**`;
+      }
+
+      if (tag === "em" || tag === "i") {
+        const inner = cleanupMarkdownInline(convertChildren(el, ctx)).trim();
+        if (!inner) return "";
+        return `*${inner}*`;
+      }
+
+      if (tag === "ul" || tag === "ol") {
+        return convertList(el, ctx);
+      }
+
+      if (tag === "table") {
+        return convertTable(el, ctx);
+      }
+
+      if (tag === "li") {
+        // li は親の ul/ol から処理される前提（ここに来た場合は素直に子を展開）
+        return convertChildren(el, ctx);
+      }
+
+      // Math / LaTeX handling
+      if (isMathElement(el)) {
+        const latex = extractLatex(el);
+        if (latex) {
+          const isBlock = isBlockMath(el);
+
+          // Wrap in $$ for block, $ for inline
+          // Normalize spacing
+          const cleanTex = latex.trim();
+          if (isBlock) {
+            return `\n$$\n${cleanTex}\n$$\n\n`;
+          } else {
+            return `$${cleanTex}$`;
+          }
+        }
+        // If extraction fails, fall through to default processing (might just be text)
+      }
+
+      // div/span 等: 子要素を連結
+      const combined = convertChildren(el, ctx);
+
+      // ブロック要素っぽいものは段落区切りを入れる
+      if (isBlockLike(tag)) {
+        const trimmed = cleanupMarkdown(combined).trim();
+        if (!trimmed) return "";
+        return `${trimmed}\n\n`;
+      }
+
+      return combined;
+    }
+
+    function isBlockLike(tag) {
+      return (
+        tag === "div" ||
+        tag === "section" ||
+        tag === "article" ||
+        tag === "main" ||
+        tag === "header" ||
+        tag === "footer" ||
+        tag === "figure" ||
+        tag === "figcaption"
+      );
+    }
+
+    function convertList(listEl, ctx) {
+      const isOrdered = listEl.tagName.toLowerCase() === "ol";
+      const items = Array.from(listEl.children).filter(
+        (c) => c.tagName && c.tagName.toLowerCase() === "li"
+      );
+      if (items.length === 0) return "";
+
+      let index = 1;
+      const lines = [];
+      for (const li of items) {
+        lines.push(convertListItem(li, {
+          ...ctx,
+          listDepth: ctx.listDepth + 1,
+          listOrdered: isOrdered,
+          listIndex: index++,
+        }));
+      }
+      return `${lines.join("\n")}\n\n`;
+    }
+
+    function convertListItem(li, ctx) {
+      const indent = "  ".repeat(Math.max(0, ctx.listDepth - 1));
+      const bullet = ctx.listOrdered ? `${ctx.listIndex}. ` : "- ";
+
+      const childParts = [];
+      const nestedLists = [];
+
+      for (const child of li.childNodes) {
+        if (
+          child.nodeType === Node.ELEMENT_NODE &&
+          (child.tagName.toLowerCase() === "ul" || child.tagName.toLowerCase() === "ol")
+        ) {
+          nestedLists.push(child);
+          continue;
+        }
+        childParts.push(convertNode(child, ctx));
+      }
+
+      const text = cleanupMarkdownInline(childParts.join("")).replace(/\s+\n/g, "\n").trim();
+      const headLine = `${indent}${bullet}${text || ""}`.trimEnd();
+
+      const nestedMdParts = [];
+      for (const nl of nestedLists) {
+        nestedMdParts.push(convertList(nl, ctx).trimEnd());
+      }
+      const nestedMd = nestedMdParts.filter(Boolean).join("\n");
+
+      if (!nestedMd) return headLine;
+      return `${headLine}\n${nestedMd}`;
+    }
+
+    function convertTable(tableEl, ctx) {
+      // tableEl.rows は thead/tbody/tfoot の行をまとめて返す（ネストしたテーブルは含まない）
+      const rows = Array.from(tableEl.rows || []).filter((tr) => tr.cells.length > 0);
+      if (rows.length === 0) return "";
+
+      // rowspan/colspan は GFM で表現できないため HTML のまま残す
+      const hasSpan = rows.some((tr) =>
+        Array.from(tr.cells).some((c) => c.rowSpan > 1 || c.colSpan > 1)
+      );
+      if (hasSpan) return `\n${tableToHtml(rows)}\n\n`;
+
+      const colCount = rows.reduce((m, tr) => Math.max(m, tr.cells.length), 0);
+
+      // ヘッダー行: thead 内の行を優先し、なければ先頭行を使う（GFMはヘッダー行必須のため）
+      const headerRow =
+        rows.find((tr) => tr.parentElement?.tagName.toLowerCase() === "thead") || rows[0];
+      const bodyRows = rows.filter((tr) => tr !== headerRow);
+
+      const toCells = (tr) => {
+        const cells = Array.from(tr.cells).map((cell) => convertTableCell(cell, ctx));
+        while (cells.length < colCount) cells.push("");
+        return cells;
+      };
+      const toLine = (cells) => `| ${cells.join(" | ")} |`;
+
+      const aligns = [];
+      for (let i = 0; i < colCount; i++) {
+        const samples = [headerRow, bodyRows[0]].map((tr) => tr?.cells[i]).filter(Boolean);
+        aligns.push(samples.map(getCellAlign).find(Boolean) || "");
+      }
+      const delimiter = aligns.map((a) => {
+        if (a === "center") return ":---:";
+        if (a === "right") return "---:";
+        if (a === "left") return ":---";
+        return "---";
+      });
+
+      const lines = [toLine(toCells(headerRow)), toLine(delimiter)];
+      for (const tr of bodyRows) {
+        lines.push(toLine(toCells(tr)));
+      }
+      return `\n${lines.join("\n")}\n\n`;
+    }
+
+    function convertTableCell(cell, ctx) {
+      const inner = convertChildren(cell, { ...ctx, listDepth: 0, inTable: true });
+      // セル内は1行に収める必要があるため、改行は <br> に、パイプはエスケープする
+      return cleanupMarkdown(inner)
+        .replace(/\n+/g, "<br>")
+        .replace(/\|/g, "\\|")
+        .trim();
+    }
+
+    function getCellAlign(cell) {
+      const value = (cell.style?.textAlign || cell.getAttribute("align") || "").trim().toLowerCase();
+      if (value === "center" || value === "right" || value === "left") return value;
+      if (value === "start") return "left";
+      if (value === "end") return "right";
+      return "";
+    }
+
+    function tableToHtml(rows) {
+      const lines = ["<table>"];
+      for (const tr of rows) {
+        const cells = Array.from(tr.cells).map((cell) => {
+          const cellTag = cell.tagName.toLowerCase() === "th" ? "th" : "td";
+          const attrs = [];
+          if (cell.rowSpan > 1) attrs.push(` rowspan="${cell.rowSpan}"`);
+          if (cell.colSpan > 1) attrs.push(` colspan="${cell.colSpan}"`);
+          const align = getCellAlign(cell);
+          if (align) attrs.push(` align="${align}"`);
+          return `<${cellTag}${attrs.join("")}>${cellToHtml(cell)}</${cellTag}>`;
+        });
+        lines.push(`  <tr>${cells.join("")}</tr>`);
+      }
+      lines.push("</table>");
+      return lines.join("\n");
+    }
+
+    function cellToHtml(node) {
+      // HTMLブロック内ではMarkdownが解釈されないため、安全なインライン要素だけ残して再構築する
+      const inlineTags = ["strong", "b", "em", "i", "code", "sub", "sup", "s", "del"];
+      const parts = [];
+      for (const child of node.childNodes) {
+        if (child.nodeType === Node.TEXT_NODE) {
+          parts.push(escapeHtml(escapeText(child.nodeValue || "")));
+          continue;
+        }
+        if (child.nodeType !== Node.ELEMENT_NODE) continue;
+        const childTag = child.tagName.toLowerCase();
+        if (childTag === "br") {
+          parts.push("<br>");
+        } else if (inlineTags.includes(childTag)) {
+          parts.push(`<${childTag}>${cellToHtml(child)}</${childTag}>`);
+        } else if (childTag === "a" && child.getAttribute("href")) {
+          const href = toAbsoluteUrl(child.getAttribute("href"));
+          if (href.startsWith("javascript:")) {
+            parts.push(cellToHtml(child));
+          } else {
+            parts.push(`<a href="${escapeHtml(href)}">${cellToHtml(child)}</a>`);
+          }
+        } else if (childTag === "p" || childTag === "div" || childTag === "li") {
+          const inner = cellToHtml(child).trim();
+          if (inner) parts.push(`${inner}<br>`);
+        } else {
+          parts.push(cellToHtml(child));
+        }
+      }
+      return parts.join("").replace(/(<br>)+$/, "").trim();
+    }
+
+    function makeInlineFence(text) {
+      const matches = String(text).match(/`+/g) || [];
+      const max = matches.reduce((m, s) => Math.max(m, s.length), 0);
+      return "`".repeat(max + 1);
+    }
+
+    function convertText(node) {
+      // HTML と同様に空白をまとめ、ブロック要素の前後にあるインデント由来の空白は捨てる
+      const text = (node.nodeValue || "").replace(/[ \t\r\n\f]+/g, " ");
+      const prevIsBlock = isBlockBoundary(node.previousSibling);
+      const nextIsBlock = isBlockBoundary(node.nextSibling);
+      if (!text.trim()) {
+        return prevIsBlock || nextIsBlock ? "" : " ";
+      }
+      let out = text;
+      if (prevIsBlock) out = out.trimStart();
+      if (nextIsBlock) out = out.trimEnd();
+      return escapeText(out);
+    }
+
+    function escapeText(text) {
+      return String(text).replace(/\u00a0/g, " ");
+    }
+  }
+
+  // HTMLエクスポート用に、許可したタグと属性だけで本文を組み直す。
+  // スクリプトやイベント属性、外部リソースの読み込みは一切残さない。
+  // footnoteRefs は脚注番号ごとの出現回数。スレッド全体で共有すると、参照の id がページ内で一意になる。
+  // headingOffset は見出しを下げる段数（h6 まで）。
+  function htmlToSafeHtml(
+    element,
+    { citations = null, images = null, footnoteRefs = new Map(), headingOffset = 0 } = {}
+  ) {
+    if (!element) return "";
+
+    const clone = prepareContentClone(element, {
+      citations,
+      renderMarker: (number) => {
+        const marker = document.createElement("sup");
+        marker.setAttribute("data-footnote", String(number));
+        return marker;
+      },
+    });
+
+    return convertChildren(clone).trim();
+
+    function convertChildren(parent) {
+      return Array.from(parent.childNodes, convertNode).join("");
+    }
+
+    function convertNode(node) {
+      if (node.nodeType === Node.TEXT_NODE) {
+        // インデント由来の空白はまとめ、ブロック要素の間だけにあるものは捨てる
+        const text = (node.nodeValue || "").replace(/[ \t\r\n\f]+/g, " ");
+        if (!text.trim() && (isBlockBoundary(node.previousSibling) || isBlockBoundary(node.nextSibling))) {
+          return "";
+        }
+        return escapeHtml(text);
+      }
+      if (node.nodeType !== Node.ELEMENT_NODE) return "";
+
+      const el = node;
+      const tag = el.tagName.toLowerCase();
+
+      if (tag === "sup" && el.hasAttribute("data-footnote")) {
+        const number = el.getAttribute("data-footnote");
+        const occurrence = (footnoteRefs.get(number) ?? 0) + 1;
+        footnoteRefs.set(number, occurrence);
+        return `<sup class="footnote-ref"><a href="#fn-${number}" id="fnref-${number}-${occurrence}">[${number}]</a></sup>`;
+      }
+
+      if (tag === "pre") {
+        const codeEl = el.querySelector("code");
+        const lang = detectLanguage(el, codeEl);
+        const code = normalizeCode((codeEl ? codeEl.textContent : el.textContent) || "");
+        if (!code.trim()) return "";
+        const langAttr = lang ? ` class="language-${escapeHtml(lang)}"` : "";
+        return `<pre><code${langAttr}>${escapeHtml(code)}</code></pre>\n`;
+      }
+
+      if (isMathElement(el)) {
+        // MathML があればそのまま描画でき、なければ LaTeX のソースを残す
+        const mathEl = tag === "math" ? el : el.querySelector("math");
+        const isBlock = isBlockMath(el);
+        if (mathEl) return convertMathMl(mathEl, isBlock);
+        const latex = extractLatex(el);
+        if (latex) {
+          const cleanTex = escapeHtml(latex.trim());
+          return isBlock
+            ? `<div class="math math-block">$$\n${cleanTex}\n$$</div>\n`
+            : `<code class="math math-inline">$${cleanTex}$</code>`;
+        }
+      }
+
+      if (tag === "a") {
+        const inner = convertChildren(el);
+        const href = toAbsoluteUrl(el.getAttribute("href") || "");
+        if (!/^(https?:|mailto:)/i.test(href)) return inner;
+        return `<a href="${escapeHtml(href)}" rel="noopener noreferrer">${inner || escapeHtml(href)}</a>`;
+      }
+
+      if (tag === "img") {
+        const src = images?.get(el.getAttribute("src")) || el.getAttribute("src") || "";
+        const alt = (el.getAttribute("alt") || "image").trim();
+        // data URI 以外の画像は外部リクエストになるためリンクに置き換える
+        if (src.startsWith("data:image/")) {
+          return `<img src="${escapeHtml(src)}" alt="${escapeHtml(alt)}">`;
+        }
+        if (!src) return "";
+        return `<a href="${escapeHtml(toAbsoluteUrl(src))}" rel="noopener noreferrer">[${escapeHtml(alt)}]</a>`;
+      }
+
+      if (tag === "br" || tag === "hr") return `<${tag}>`;
+
+      if (SAFE_HTML_TAGS.includes(tag)) {
+        const attrs = [];
+        if (tag === "ol" && el.hasAttribute("start")) {
+          const start = Number.parseInt(el.getAttribute("start"), 10);
+          if (Number.isFinite(start)) attrs.push(` start="${start}"`);
+        }
+        if (tag === "td" || tag === "th") {
+          if (el.rowSpan > 1) attrs.push(` rowspan="${el.rowSpan}"`);
+          if (el.colSpan > 1) attrs.push(` colspan="${el.colSpan}"`);
+          const align = (el.style?.textAlign || el.getAttribute("align") || "").trim().toLowerCase();
+          if (["left", "center", "right"].includes(align)) attrs.push(` style="text-align: ${align}"`);
+        }
+        const inner = convertChildren(el).trim();
+        const isBlock = SAFE_HTML_BLOCK_TAGS.includes(tag);
+        if (!inner && tag !== "td" && tag !== "th") return "";
+        const name = /^h[1-6]$/.test(tag) ? `h${Math.min(6, Number(tag[1]) + headingOffset)}` : tag;
+        return `<${name}${attrs.join("")}>${inner}</${name}>${isBlock ? "\n" : ""}`;
+      }
+
+      // 未知のタグ（Gemini のカスタム要素など）は中身だけ残す
+      return convertChildren(el);
+    }
+
+    function convertMathMl(mathEl, isBlock) {
+      const convert = (node) => {
+        if (node.nodeType === Node.TEXT_NODE) return escapeHtml(node.nodeValue || "");
+        if (node.nodeType !== Node.ELEMENT_NODE) return "";
+        const tag = node.tagName.toLowerCase();
+        const inner = Array.from(node.childNodes, convert).join("");
+        if (!MATHML_TAGS.includes(tag)) return inner;
+        const attrs = MATHML_ATTRIBUTES.filter((name) => node.hasAttribute(name)).map(
+          (name) => ` ${name}="${escapeHtml(node.getAttribute(name))}"`
+        );
+        return `<${tag}${attrs.join("")}>${inner}</${tag}>`;
+      };
+      const inner = Array.from(mathEl.childNodes, convert).join("");
+      const display = isBlock ? ' display="block"' : "";
+      return `<math xmlns="http://www.w3.org/1998/Math/MathML"${display}>${inner}</math>${isBlock ? "\n" : ""}`;
+    }
+  }
+
+  const SAFE_HTML_BLOCK_TAGS = [
+    "p", "div", "h1", "h2", "h3", "h4", "h5", "h6", "blockquote", "ul", "ol", "li",
+    "table", "thead", "tbody", "tfoot", "tr",
+  ];
+  const SAFE_HTML_TAGS = [
+    ...SAFE_HTML_BLOCK_TAGS,
+    "th", "td", "strong", "b", "em", "i", "u", "s", "del", "ins", "mark", "sub", "sup",
+    "code", "kbd", "samp", "var", "small",
+  ];
+  const MATHML_TAGS = [
+    "semantics", "annotation", "mrow", "mi", "mn", "mo", "ms", "mtext", "mspace", "msup", "msub",
+    "msubsup", "mfrac", "msqrt", "mroot", "mover", "munder", "munderover", "mtable", "mtr", "mtd",
+    "mstyle", "mpadded", "mphantom", "menclose", "merror",
+  ];
+  const MATHML_ATTRIBUTES = [
+    "encoding", "mathvariant", "stretchy", "fence", "separator", "accent", "accentunder",
+    "lspace", "rspace", "linethickness", "columnalign", "rowspacing", "columnspacing",
+    "scriptlevel", "displaystyle", "width", "height", "depth", "notation",
+  ];
+
+  function isMathElement(el) {
+    return (
+      el.tagName.toLowerCase() === "math" ||
+      el.classList.contains("katex") ||
+      el.classList.contains("mjx-container") ||
+      el.classList.contains("MathJax") ||
+      el.classList.contains("math-inline") ||
+      el.classList.contains("math-block")
+    );
+  }
+
+  function isBlockMath(el) {
+    return (
+      el.classList.contains("block-math") ||
+      el.classList.contains("math-block") ||
+      el.style?.display === "block" ||
+      el.tagName.toLowerCase() === "div" ||
+      el.getAttribute("display") === "block"
+    );
+  }
+
+  // JSON 出力用に、本文からプレーンテキスト・コードブロック・画像・リンクを取り出す
+  function collectTurnDetails(element, { images = null } = {}) {
+    const clone = prepareContentClone(element, { citations: null });
+    const codeBlocks = Array.from(clone.querySelectorAll("pre"), (pre) => {
+      const codeEl = pre.querySelector("code");
+      return {
+        language: detectLanguage(pre, codeEl),
+        content: normalizeCode((codeEl ? codeEl.textContent : pre.textContent) || ""),
+      };
+    }).filter((block) => block.content.trim());
+    const imageList = Array.from(clone.querySelectorAll("img[src]"), (img) => ({
+      url: images?.get(img.getAttribute("src")) || toAbsoluteUrl(img.getAttribute("src")),
+      alt: (img.getAttribute("alt") || "").trim(),
+    }));
+    const links = Array.from(clone.querySelectorAll("a[href]"), (a) => ({
+      url: toAbsoluteUrl(a.getAttribute("href")),
+      text: (a.textContent || "").replace(/\s+/g, " ").trim(),
+    })).filter((link) => /^(https?:|mailto:)/i.test(link.url));
+    return { text: extractPlainText(clone), codeBlocks, images: imageList, links };
+  }
+
+  function extractPlainText(rootEl) {
+    // コードの改行やインデントは保ったまま、それ以外の空白だけを整える
+    const preformatted = [];
+    const walk = (node) => {
+      if (node.nodeType === Node.TEXT_NODE) return (node.nodeValue || "").replace(/[ \t\r\n\f]+/g, " ");
+      if (node.nodeType !== Node.ELEMENT_NODE) return "";
+      const tag = node.tagName.toLowerCase();
+      if (tag === "br") return "\n";
+      if (tag === "pre") {
+        preformatted.push(normalizeCode(node.textContent || ""));
+        return `\n\u0000${preformatted.length - 1}\u0000\n`;
+      }
+      if (isMathElement(node)) {
+        const latex = extractLatex(node);
+        if (latex) return isBlockMath(node) ? `\n${latex.trim()}\n` : latex.trim();
+      }
+      const inner = Array.from(node.childNodes, walk).join("");
+      // 表は1行1レコードのタブ区切りにする
+      if (tag === "td" || tag === "th") return `${inner.replace(/\n+/g, " ").trim()}\t`;
+      return isBlockBoundary(node) ? `\n${inner}\n` : inner;
+    };
+    return walk(rootEl)
+      .replace(/[ \t]*\n[ \t]*/g, "\n")
+      .replace(/\n{2,}/g, "\n")
+      .trim()
+      .replace(/\u0000(\d+)\u0000/g, (m, i) => preformatted[Number(i)]);
+  }
+
+  // ターン内に表示される Canvas のチップから、そのターンで作成/更新されたファイル名を拾う
+  function getTurnCanvasTitles(node) {
+    const titles = findTurnCanvasChips(node).map(getCanvasChipTitle);
+    return Array.from(new Set(titles.filter(Boolean)));
+  }
+
+  function findTurnCanvasChips(node) {
+    return Array.from(
+      node.querySelectorAll?.("immersive-entry-chip, .immersive-entry-chip, .artifact-chip") || []
+    );
+  }
+
+  function getCanvasChipTitle(chip) {
+    const titleEl = chip.querySelector('.immersive-title, [data-test-id="artifact-text"], .title-text');
+    return ((titleEl || chip).textContent || "").replace(/\s+/g, " ").trim();
+  }
+
+  // 変換前の共通処理。引用マーカーはボタンとして描画されることがあるため、cleanup で消える前に置き換える
+  function prepareContentClone(element, { citations, renderMarker }) {
+    const clone = element.cloneNode(true);
+    replaceCitationMarkers(clone, citations, renderMarker);
+    cleanup(clone);
+    return clone;
+  }
+
+  function replaceCitationMarkers(rootEl, citations, renderMarker) {
+    const markerSelector =
+      "source-footnote, source-inline-chip, sup[data-turn-source-index], [data-citation-index], .citation-marker";
+    const markers = Array.from(rootEl.querySelectorAll(markerSelector)).filter(
+      (el) => !el.parentElement?.closest(markerSelector)
+    );
+    for (const marker of markers) {
+      const source = citations ? resolveCitation(marker, citations) : null;
+      if (source) {
+        marker.replaceWith(renderMarker(citations.cite(source)));
+      } else {
+        marker.remove();
+      }
+    }
+  }
+
+  function resolveCitation(marker, citations) {
+    const link = marker.matches("a[href]") ? marker : marker.querySelector("a[href]");
+    const url = normalizeSourceUrl(link?.getAttribute("href"));
+    if (url) {
+      const known = citations.sources.find((s) => s.url === url);
+      if (known) return known;
+      const title = (link.getAttribute("aria-label") || link.getAttribute("title") || "").trim();
+      return { url, title: title || new URL(url).hostname };
+    }
+
+    // インデックス指定の場合は回答末尾のソース一覧を参照する（1始まり）
+    const indexEl = marker.matches("[data-turn-source-index], [data-citation-index]")
+      ? marker
+      : marker.querySelector("[data-turn-source-index], [data-citation-index]");
+    const raw =
+      indexEl?.getAttribute("data-turn-source-index") ||
+      indexEl?.getAttribute("data-citation-index");
+    const idx = Number.parseInt(raw, 10);
+    if (!Number.isFinite(idx)) return null;
+    return citations.sources[idx - 1] || null;
+  }
+
+  function cleanup(rootEl) {
+    const removeSelectors = [
+      "button",
+      "svg",
+      "mat-icon",
+      // "script", // MathJax sometimes uses script[type="math/tex"], so handle carefully below
+      "style",
+      "textarea",
+      "input",
+      '[role="button"]',
+      ".feedback-container",
+      // 思考プロセスは回答本文に混ぜず、必要なら extractThinking で別ブロックとして出す
+      "model-thoughts",
+      '[data-test-id="model-thoughts"]',
+      // ソース一覧は本文から外し、Sources として回答末尾にまとめる
+      "sources-list",
+      ".sources-list",
+      '[data-test-id="sources-list"]',
+      ".edit-button",
+      ".speech_icon",
+      ".code-block-decoration",
+      // ドキュメント Canvas のエディタ（ProseMirror）が編集用に差し込む要素
+      ".ProseMirror-trailingBreak",
+      ".ProseMirror-separator",
+      ".ProseMirror-gapcursor",
+    ];
+    for (const sel of removeSelectors) {
+      rootEl.querySelectorAll(sel).forEach((el) => {
+        // Preserve math scripts
+        if (el.tagName.toLowerCase() === "script" && (
+          el.type.includes("math") || el.type.includes("tex")
+        )) {
+          return;
+        }
+        // Preserve math-related svgs if they are inside a known math container (handled by main traversal)
+        // But strict removal of 'svg' here is risky if the math engine uses SVG. 
+        // However, usually we want to extract the *source* NOT the SVG.
+        // So we keep removing SVG, assuming we will find the source in a sibling or parent attribute.
+        el.remove();
+      });
+    }
+
+    // Separate pass to remove generic scripts but keep math ones
+    rootEl.querySelectorAll("script").forEach(el => {
+      if (!el.type.includes("math") && !el.type.includes("tex")) {
+        el.remove();
+      }
+    });
+  }
+
+  function extractLatex(el) {
+    // 1. Look for data-math (Gemini specific) or similar
+    const dataMath = el.getAttribute("data-math") || el.getAttribute("data-tex");
+    if (dataMath) return dataMath;
+
+    // 2. Look for <annotation encoding="application/x-tex"> (MathML standard)
+    const annotation = el.querySelector('annotation[encoding="application/x-tex"]');
+    if (annotation && annotation.textContent) {
+      return annotation.textContent;
+    }
+
+    // 2. Look for data attributes
+    const dataTex = el.getAttribute("data-tex") || el.getAttribute("alt") || el.getAttribute("aria-label");
+    if (dataTex && (dataTex.includes("\\") || dataTex.includes("="))) {
+      // Simple heuristic to avoid using "image" or generic labels as latex
+      return dataTex;
+    }
+
+    // 3. Look for script tags (MathJax)
+    const script = el.querySelector('script[type^="math/tex"]');
+    if (script && script.textContent) {
+      return script.textContent;
+    }
+
+    // 4. KaTeX often has a visually hidden element with the source
+    // .katex-mathml contains the mathml which might have annotation
+    // .katex-html is consistent but visual only
+    // Sometimes just innerText of a specific hidden span works
+
+    return null;
+  }
+
+  function isBlockBoundary(sibling) {
+    if (!sibling) return true;
+    if (sibling.nodeType !== Node.ELEMENT_NODE) return false;
+    const inlineTags = [
+      "a", "abbr", "b", "cite", "code", "del", "em", "i", "img", "ins", "kbd", "mark",
+      "math", "q", "s", "samp", "small", "span", "strong", "sub", "sup", "time", "u", "var",
+    ];
+    return !inlineTags.includes(sibling.tagName.toLowerCase());
+  }
+
+  function makeFence(code) {
+    const matches = String(code).match(/`+/g) || [];
+    const max = matches.reduce((m, s) => Math.max(m, s.length), 0);
+    const len = Math.max(3, max + 1);
+    return "`".repeat(len);
+  }
+
+  function escapeHtml(text) {
+    return String(text)
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;");
+  }
+
+  function detectLanguage(preEl, codeEl) {
+    const fromClass = (value) => {
+      const m = String(value || "").match(/language-([a-z0-9_+-]+)/i);
+      return m ? m[1] : "";
+    };
+    return (
+      fromClass(codeEl?.className) ||
+      fromClass(preEl.className) ||
+      String(codeEl?.getAttribute("data-language") || preEl.getAttribute("data-language") || "")
+    ).trim();
+  }
+
+  function normalizeCode(code) {
+    return String(code).replace(/\r\n/g, "\n").replace(/\r/g, "\n").replace(/\n+$/g, "");
+  }
+
+  function toAbsoluteUrl(href) {
+    try {
+      return new URL(href, location.href).toString();
+    } catch {
+      return href;
+    }
+  }
+
+  function cleanupMarkdownInline(text) {
+    return String(text).replace(/[ \t]+\n/g, "\n").replace(/\n{2,}/g, "\n");
+  }
+
+  function cleanupMarkdown(text) {
+    return String(text)
+      .replace(/\r\n/g, "\n")
+      .replace(/\r/g, "\n")
+      .replace(/[ \t]+\n/g, "\n")
+      .replace(/\n{3,}/g, "\n\n")
+      .trim();
+  }
+
+  // 会話のターンや本文を探すセレクタ。設定ページで編集したプロファイルをメッセージごとに読み直す
+  let siteProfile = DEFAULT_SITE_PROFILE;
+
+  function countSelectorMatches(root, selectors) {
+    const counts = {};
+    for (const [key, list] of Object.entries(selectors)) {
+      counts[key] = list.map((selector) => {
+        try {
+          return { selector, count: root.querySelectorAll(selector).length };
+        } catch {
+          return { selector, count: 0, invalid: true };
+        }
+      });
+    }
+    return counts;
+  }
+
+  const HIGHLIGHT_STYLE_ID = "gemini-thread-to-markdown-highlight";
+  const HIGHLIGHT_ATTRIBUTE = "data-gemini-thread-to-markdown-highlight";
+
+  // 設定ページの「現在のタブで試す」。セレクタごとの一致数を返し、
+  // そのプロファイルで見つかるターンと本文を枠で囲む（clearHighlights で消す）
+  function testSiteProfile(profile) {
+    clearSelectorHighlights();
+    const { selectors } = normalizeSiteProfile(profile);
+    const root = document.querySelector("main") || document.body;
+    const counts = countSelectorMatches(root, selectors);
+
+    const style = document.createElement("style");
+    style.id = HIGHLIGHT_STYLE_ID;
+    style.textContent = `
+      [${HIGHLIGHT_ATTRIBUTE}="User"] { outline: 3px solid #1a73e8 !important; outline-offset: 2px; }
+      [${HIGHLIGHT_ATTRIBUTE}="Gemini"] { outline: 3px solid #188038 !important; outline-offset: 2px; }
+      [${HIGHLIGHT_ATTRIBUTE}="content"] { outline: 2px dashed #f29900 !important; }`;
+    document.head.appendChild(style);
+
+    const nodes = collectConversationNodes(root, selectors);
+    const speakers = { User: 0, Gemini: 0 };
+    for (const node of nodes) {
+      const speaker = getSpeaker(node, selectors);
+      speakers[speaker] += 1;
+      node.setAttribute(HIGHLIGHT_ATTRIBUTE, speaker);
+      const content = getBestContentNode(node, selectors);
+      if (content !== node) content.setAttribute(HIGHLIGHT_ATTRIBUTE, "content");
+    }
+    nodes[0]?.scrollIntoView({ block: "center" });
+    return { counts, turns: nodes.length, users: speakers.User, models: speakers.Gemini };
+  }
+
+  function clearSelectorHighlights() {
+    document.getElementById(HIGHLIGHT_STYLE_ID)?.remove();
+    for (const el of document.querySelectorAll(`[${HIGHLIGHT_ATTRIBUTE}]`)) el.removeAttribute(HIGHLIGHT_ATTRIBUTE);
+  }
+
+  // 診断レポート（diagnose）用の直近の extract の記録。フェーズは進捗通知の phase で区切り、
+  // 最初の進捗通知までは "start"（会話の検出など）とする
+  let lastRun = null;
+
+  function startRunRecord() {
+    const start = Date.now();
+    const run = { startedAt: new Date(start).toISOString(), totalMs: null, phases: {}, turnCount: null, error: null };
+    let phase = "start";
+    let since = start;
+    const closePhase = (now) => {
+      run.phases[phase] = (run.phases[phase] ?? 0) + (now - since);
+      since = now;
+    };
+    lastRun = run;
+    return {
+      mark(next) {
+        if (next === phase) return;
+        closePhase(Date.now());
+        phase = next;
+      },
+      finish({ turnCount = null, error = null } = {}) {
+        const now = Date.now();
+        closePhase(now);
+        run.totalMs = now - start;
+        run.turnCount = turnCount;
+        run.error = error;
+      },
+    };
+  }
+
+  // 会話の内容は含めない: セレクタの一致数、UI の状態（Canvas のタイトルやタブの表示名は有無だけ）、
+  // 直近の extract の所要時間、ページの言語、DOM の骨組み
+  function collectDiagnostics() {
+    const root = document.querySelector("main") || document.body;
+    const nodes = collectConversationNodes(root);
+    const { currentCanvasTitle, activeSidebarTabLabel, ...uiState } = captureUiState(root);
+    return {
+      page: {
+        path: redactPagePath(location.pathname),
+        lang: document.documentElement.lang || null,
+        browserLanguage: navigator.language,
+      },
+      siteProfile: {
+        name: siteProfile.name,
+        version: siteProfile.version,
+        customized: JSON.stringify(siteProfile) !== JSON.stringify(normalizeSiteProfile(null)),
+        counts: countSelectorMatches(root, siteProfile.selectors),
+        turns: nodes.length,
+        users: nodes.filter((node) => getSpeaker(node) === "User").length,
+      },
+      ui: {
+        ...uiState,
+        canvasTitleFound: currentCanvasTitle !== null,
+        sidebarTabSelected: activeSidebarTabLabel !== null,
+        sidePanelFound: !!findSidePanel(),
+        fileListVisible: isFileListVisible(root),
+        canvasChips: findTurnCanvasChips(root).length,
+      },
+      lastRun,
+      skeleton: describeDomSkeleton(document.body),
+    };
+  }
+
+  // /app/ や /gem/ 以降（会話 ID や Gem の名前）と、それ以外で数字を含む部分は伏せる
+  function redactPagePath(pathname) {
+    const segments = pathname.split("/");
+    const start = segments.findIndex((segment) => segment === "app" || segment === "gem");
+    return segments
+      .map((segment, i) => (segment && ((start >= 0 && i > start) || /\d/.test(segment)) ? ":id" : segment))
+      .join("/");
+  }
+
+  // 値を出してもよい属性（ユーザーの文章が入らないもの）。それ以外の属性は名前だけ出す
+  const SKELETON_VALUE_ATTRIBUTES = [
+    "role",
+    "data-test-id",
+    "data-testid",
+    "data-message-role",
+    "data-message-author",
+    "data-mat-icon-name",
+    "fonticon",
+    "aria-selected",
+    "aria-pressed",
+    "aria-checked",
+    "aria-expanded",
+  ];
+  const SKELETON_SKIPPED_TAGS = ["script", "style", "noscript", "template", "link", "meta"];
+
+  // タグ名・クラスと属性だけを字下げして並べる（テキストは出さない）。
+  // 同じ形の兄弟が続く場合（ターンや一覧の項目）は最初の1つだけ展開し、残りは件数にまとめる
+  function describeDomSkeleton(root, { maxDepth = 40, maxLines = 2000 } = {}) {
+    const lines = [];
+    const walk = (el, depth) => {
+      const indent = "  ".repeat(depth);
+      lines.push(`${indent}${describeSkeletonNode(el)}`);
+      const children = Array.from(el.children).filter(
+        (child) => !SKELETON_SKIPPED_TAGS.includes(child.tagName.toLowerCase())
+      );
+      if (children.length === 0 || el.tagName.toLowerCase() === "svg") return;
+      if (depth >= maxDepth) {
+        lines.push(`${indent}  …`);
+        return;
+      }
+      for (let i = 0; i < children.length && lines.length < maxLines; i++) {
+        const signature = describeSkeletonNode(children[i]);
+        let repeat = 0;
+        while (i + repeat + 1 < children.length && describeSkeletonNode(children[i + repeat + 1]) === signature) {
+          repeat += 1;
+        }
+        walk(children[i], depth + 1);
+        if (repeat > 0) lines.push(`${indent}  … ×${repeat}`);
+        i += repeat;
+      }
+    };
+    walk(root, 0);
+    if (lines.length >= maxLines) lines.push("…");
+    return lines.join("\n");
+  }
+
+  function describeSkeletonNode(el) {
+    let out = el.tagName.toLowerCase();
+    for (const name of el.classList) out += `.${name}`;
+    for (const { name, value } of el.attributes) {
+      // Angular のスタイル用の属性は要素ごとに異なり、骨組みの比較の邪魔になる
+      if (name === "class" || name.startsWith("_ng")) continue;
+      out += SKELETON_VALUE_ATTRIBUTES.includes(name) ? `[${name}="${value}"]` : `[${name}]`;
+    }
+    return out;
+  }
+
+  // 実行中の extract（requestId -> AbortController）。cancel で中断する
+  const runningExtractions = new Map();
+
+  const handlers = {
+    ping: async () => ({ ok: true }),
+    extract: async (message) => {
+      const controller = new AbortController();
+      runningExtractions.set(message.requestId, controller);
+      const run = startRunRecord();
+      try {
+        const result = await extractThread(message.options, {
+          onProgress: (progress) => {
+            run.mark(progress.phase);
+            sendProgress(message.requestId, progress);
+          },
+          signal: controller.signal,
+        });
+        run.finish({ turnCount: result.turnCount });
+        return result;
+      } catch (e) {
+        run.finish({ error: e?.message ?? String(e) });
+        throw e;
+      } finally {
+        runningExtractions.delete(message.requestId);
+      }
+    },
+    cancel: async (message) => {
+      runningExtractions.get(message.requestId)?.abort();
+      return { ok: true };
+    },
+    listTurns: async (message) => ({ turns: await listTurns(message.options) }),
+    listCanvases: async () => ({ canvases: await listCanvases() }),
+    listConversations: async (message) => ({ conversations: await listConversations(message.options) }),
+    testSiteProfile: async (message) => testSiteProfile(message.profile),
+    clearHighlights: async () => {
+      clearSelectorHighlights();
+      return { ok: true };
+    },
+    diagnose: async () => ({ diagnostics: collectDiagnostics() }),
+  };
+
+  // 読み込めなくても抽出は止めず、直前のプロファイル（初回は既定）のまま続ける
+  async function refreshSiteProfile() {
+    try {
+      siteProfile = await loadSiteProfile();
+    } catch (e) {
+      console.warn("Failed to load site profile:", e);
+    }
+  }
+
+  function sendProgress(requestId, progress) {
+    // ポップアップが閉じていると受信側がいないため、失敗は無視する
+    chrome.runtime.sendMessage({ type: "progress", requestId, ...progress }).catch(() => {});
+  }
+
+  globalThis.geminiThreadToMarkdown = {
+    extractThread,
+    listTurns,
+    listCanvases,
+    listConversations,
+    collectConversationNodes,
+    getSpeaker,
+    getBestContentNode,
+    testSiteProfile,
+    clearSelectorHighlights,
+    collectDiagnostics,
+    htmlToMarkdown,
+    htmlToSafeHtml,
+    createUnifiedDiff,
+  };
+
+  chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+    const handler = handlers[message?.type];
+    if (!handler) return false;
+    refreshSiteProfile()
+      .then(() => handler(message))
+      .then(sendResponse)
+      .catch((e) => sendResponse({ error: e?.message ?? String(e) }));
+    return true; // 非同期で応答する
+  });
+})();
@@ -0,0 +1,101 @@
+// 診断レポート（popup.js から使う）。抽出に失敗したときにそのままバグ報告に貼れるよう、
+// ページ側の状態（content.js の diagnose）と拡張機能の情報を Markdown にまとめる。会話の内容は含めない。
+// 開発者が読むものなので、表示言語に関わらず英語で書く（エラーメッセージだけは表示されたままの文言）。
+// i18n.js, export.js を先に読み込んでおくこと。
+
+// ページから情報を取れなくても（Gemini 以外のタブなど）、拡張機能側の情報だけでレポートを作る
+async function collectDiagnosticReport(tabId, { error = null } = {}) {
+  let diagnostics = null;
+  let diagnosticsError = null;
+  try {
+    if (!tabId) throw new Error(t("errorNoActiveTab"));
+    ({ diagnostics } = await sendToContentScript(tabId, { type: "diagnose" }, 10_000));
+  } catch (err) {
+    diagnosticsError = err?.message ?? String(err);
+  }
+  return formatDiagnosticReport({
+    version: chrome.runtime.getManifest().version,
+    uiLanguage: chrome.i18n.getUILanguage(),
+    userAgent: navigator.userAgent,
+    date: new Date(),
+    error,
+    diagnostics,
+    diagnosticsError,
+  });
+}
+
+function formatDiagnosticReport({ version, uiLanguage, userAgent, date, error, diagnostics, diagnosticsError }) {
+  const lines = [
+    "# Gemini Thread to Markdown diagnostic report",
+    "",
+    `- Extension version: ${version}`,
+    `- Created: ${date.toISOString()}`,
+    `- Browser UI language: ${uiLanguage}`,
+    `- User agent: ${userAgent}`,
+    `- Last error in popup: ${error ?? "none"}`,
+  ];
+  if (!diagnostics) {
+    lines.push(`- Page diagnostics unavailable: ${diagnosticsError}`, "");
+    return lines.join("\n");
+  }
+
+  const { page, siteProfile, ui, lastRun, skeleton } = diagnostics;
+  lines.push(
+    "",
+    "## Page",
+    "",
+    `- Path: ${page.path}`,
+    `- Page language: ${page.lang ?? "unknown"}`,
+    `- Browser language: ${page.browserLanguage}`,
+    "",
+    "## Last extraction",
+    ""
+  );
+  if (lastRun) {
+    lines.push(
+      `- Started: ${lastRun.startedAt}`,
+      `- Total: ${lastRun.totalMs === null ? "still running" : `${lastRun.totalMs} ms`}`,
+      `- Turns: ${lastRun.turnCount ?? "-"}`,
+      `- Error: ${lastRun.error ?? "none"}`,
+      "",
+      "| Phase | Time |",
+      "| --- | --- |",
+      ...Object.entries(lastRun.phases).map(([phase, ms]) => `| ${phase} | ${ms} ms |`)
+    );
+  } else {
+    lines.push("- No extraction since the page was loaded.");
+  }
+
+  lines.push(
+    "",
+    "## Selectors",
+    "",
+    `- Site profile: ${siteProfile.name} (version ${siteProfile.version}${siteProfile.customized ? ", customized" : ""})`,
+    `- Turns found: ${siteProfile.turns} (user ${siteProfile.users}, Gemini ${siteProfile.turns - siteProfile.users})`,
+    "",
+    "| List | Selector | Matches |",
+    "| --- | --- | --- |",
+    ...Object.entries(siteProfile.counts).flatMap(([key, results]) =>
+      results.map(
+        ({ selector, count, invalid }) =>
+          `| ${key} | \`${selector.replace(/\|/g, "\\|")}\` | ${invalid ? "invalid" : count} |`
+      )
+    ),
+    "",
+    "## UI state",
+    "",
+    "```json",
+    JSON.stringify(ui, null, 2),
+    "```",
+    "",
+    "## DOM skeleton",
+    "",
+    "Tags and attributes only. Text and most attribute values are omitted.",
+    "",
+    "```",
+    skeleton,
+    "```",
+    ""
+  );
+  return lines.join("\n");
+}
@@ -0,0 +1,302 @@
+// エクスポート処理の共通部分（popup.js / background.js から共有）
+// i18n.js, settings.js, html-export.js, json-export.js, zip.js を先に読み込んでおくこと。抽出自体は content.js がページ側で行う。
+
+// 保存形式ごとの拡張子と MIME タイプ
+const EXPORT_FILE_TYPES = {
+  markdown: { extension: "md", mimeType: "text/markdown" },
+  html: { extension: "html", mimeType: "text/html" },
+  json: { extension: "json", mimeType: "application/json" },
+  // conversation.md と Canvas の各ファイルをまとめた ZIP
+  zip: { extension: "zip", mimeType: "application/zip" },
+};
+
+async function buildExtractionOptions(settings, { forClipboard = false } = {}) {
+  const { header, user, model } = settings.outputTemplate;
+  const canvasFiles = !forClipboard && settings.exportFormat === "zip";
+  return {
+    // 見出しや注意書きなど出力に入る文言（Content Script では出力言語のカタログを読めないため渡す）
+    labels: await loadOutputLabels(settings.outputLanguage),
+    images: getImageMode(settings, { forClipboard }),
+    // ZIP は Canvas のファイルを取り出すための形式なので、設定に関わらず Canvas を取得する
+    includeCanvas: settings.includeCanvas || canvasFiles,
+    canvasFiles,
+    canvasHistory: settings.canvasHistory,
+    canvasPlacement: settings.canvasPlacement,
+    includeFrontMatter: settings.includeFrontMatter,
+    loadFullHistory: settings.loadFullHistory,
+    thinking: settings.thinking,
+    includeSources: settings.includeSources,
+    tags: parseTags(settings.tags),
+    template: { header, user, model },
+  };
+}
+
+// アセット保存は ZIP でファイルに保存するときだけ使う。
+// コピーでは元のURLのままにし、HTML は単体で開けるよう埋め込む。
+function getImageMode(settings, { forClipboard }) {
+  if (settings.images !== "assets") return settings.images;
+  if (forClipboard) return "link";
+  return settings.exportFormat === "html" ? "embed" : "assets";
+}
+
+// 抽出を待つ時間は、有効なフェーズの上限（content.js）から決める
+const EXTRACTION_BASE_TIMEOUT_MS = 20_000;
+// 古いターンの読み込み（loadOlderTurns）
+const HISTORY_TIMEOUT_MS = 30_000;
+// Canvas のファイルと変更履歴の取得（CANVAS_TIME_LIMIT_MS）
+const CANVAS_TIMEOUT_MS = 45_000;
+// 画像の取得（1枚ごとの上限はあるが全体の上限はない。時間切れの cancel で残りの画像はリンクのままになる）
+const IMAGES_TIMEOUT_MS = 40_000;
+// 時間切れで cancel を送ってから、それまでの結果が返るのを待つ時間
+const CANCEL_GRACE_MS = 10_000;
+
+function getExtractionTimeout(options) {
+  let ms = EXTRACTION_BASE_TIMEOUT_MS;
+  if (options.loadFullHistory) ms += HISTORY_TIMEOUT_MS;
+  if (options.includeCanvas) ms += CANVAS_TIMEOUT_MS;
+  if (options.images !== "link") ms += IMAGES_TIMEOUT_MS;
+  return ms;
+}
+
+// signal を中断すると Content Script に cancel を送る。古いターン・画像・Canvas の取得を打ち切り、それまでの結果が返る。
+// 待ち時間を過ぎた場合も同じく cancel を送り、途中までの結果を受け取る（それでも返らなければエラー）
+async function extractFromTab(tabId, options, { onProgress, signal } = {}) {
+  const requestId = crypto.randomUUID();
+  const onMessage = (message) => {
+    if (message?.type === "progress" && message.requestId === requestId) onProgress?.(message);
+  };
+  chrome.runtime.onMessage.addListener(onMessage);
+  const onAbort = () => {
+    chrome.tabs.sendMessage(tabId, { type: "cancel", requestId }).catch(() => {});
+  };
+  signal?.addEventListener("abort", onAbort, { once: true });
+  const timeoutMs = getExtractionTimeout(options);
+  const cancelTimerId = setTimeout(onAbort, timeoutMs);
+
+  try {
+    const result = await sendToContentScript(
+      tabId,
+      { type: "extract", requestId, options },
+      timeoutMs + CANCEL_GRACE_MS
+    );
+    if (typeof result.markdown !== "string") throw new Error(t("errorUnexpectedResult"));
+    return result;
+  } finally {
+    clearTimeout(cancelTimerId);
+    chrome.runtime.onMessage.removeListener(onMessage);
+    signal?.removeEventListener("abort", onAbort);
+  }
+}
+
+async function sendToContentScript(tabId, message, timeoutMs) {
+  await ensureContentScript(tabId);
+
+  const result = await withTimeout(
+    chrome.tabs.sendMessage(tabId, message),
+    timeoutMs,
+    t("errorTimeout")
+  );
+
+  if (!result) throw new Error(t("errorNoResponse"));
+  if (result.error) throw new Error(result.error);
+  return result;
+}
+
+async function ensureContentScript(tabId) {
+  try {
+    const pong = await chrome.tabs.sendMessage(tabId, { type: "ping" });
+    if (pong?.ok) return;
+  } catch {
+    // 拡張機能のインストール/更新前から開いているタブには Content Script がいない
+  }
+
+  try {
+    await chrome.scripting.executeScript({
+      target: { tabId },
+      world: "MAIN",
+      files: ["page-bridge.js"],
+    });
+    await chrome.scripting.executeScript({
+      target: { tabId },
+      files: ["i18n.js", "site-profile.js", "content.js"],
+    });
+  } catch (e) {
+    console.warn("Failed to inject content script:", e);
+    throw new Error(t("errorNotGeminiPage"));
+  }
+}
+
+function parseTags(value) {
+  const tags = String(value)
+    .split(/[,、\n]/)
+    .map((t) => t.trim().replace(/^#/, ""))
+    .filter(Boolean);
+  return Array.from(new Set(tags));
+}
+
+function buildFilename(template, { title, date }, extension = "md") {
+  const pad = (n) => String(n).padStart(2, "0");
+  const values = {
+    title,
+    date: `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`,
+    time: `${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}`,
+  };
+  const expanded = template.replace(/\{(\w+)\}/g, (m, key) =>
+    key in values ? values[key].replace(/[\\/]/g, "_") : m
+  );
+
+  // "/" はダウンロードフォルダ内のサブフォルダ指定として残し、各要素をサニタイズする
+  const segments = expanded
+    .replace(/\.(md|markdown|html?|json|zip)$/i, "")
+    .split("/")
+    .map(sanitizeFilenameSegment)
+    .filter(Boolean);
+  if (segments.length === 0) segments.push("gemini");
+  return `${segments.join("/")}.${extension}`;
+}
+
+function sanitizeFilenameSegment(name) {
+  let out = String(name)
+    .replace(/[\u0000-\u001f\u007f<>:"\\|?*]/g, "_")
+    .replace(/\s+/g, " ")
+    .trim()
+    // 先頭/末尾のドットや空白は OS によって拒否・削除されるため落とす
+    .replace(/^[.\s]+|[.\s]+$/g, "");
+  if (out.length > 120) out = out.slice(0, 120).trim();
+  // Windows の予約デバイス名
+  if (/^(con|prn|aux|nul|com\d|lpt\d)$/i.test(out)) out = `_${out}`;
+  return out;
+}
+
+// extractFromTab の結果を設定の保存形式でファイルに保存する
+async function saveExport({ markdown, title, thread, assets = [] }, settings) {
+  const format = settings.exportFormat;
+  const { extension, mimeType } = EXPORT_FILE_TYPES[format];
+  const template = settings.filenameTemplate.trim() || DEFAULT_SETTINGS.filenameTemplate;
+  const date = new Date();
+  const text = renderExportText({ markdown, thread }, format, await loadOutputLabels(settings.outputLanguage));
+  const assetFiles = assets.map(({ path, dataUri }) => ({ path, data: dataUriToBytes(dataUri) }));
+
+  if (format === "zip") {
+    // Canvas のファイルはタイトルどおりのパスに置き、そのまま展開して実行できるようにする
+    const zip = createZip([
+      { path: "conversation.md", data: text },
+      ...thread.canvases.map(({ path, code }) => ({ path, data: code.endsWith("\n") ? code : `${code}\n` })),
+      ...assetFiles,
+    ]);
+    await downloadFile(zip, buildFilename(template, { title, date }, extension), mimeType);
+    return;
+  }
+
+  if (assets.length === 0) {
+    await downloadFile(text, buildFilename(template, { title, date }, extension), mimeType);
+    return;
+  }
+
+  // 画像をアセットとして保存する場合は、本文と assets/ フォルダを1つの ZIP にまとめる
+  const zipName = buildFilename(template, { title, date }, "zip");
+  const baseName = zipName.split("/").pop().replace(/\.zip$/, "");
+  const zip = createZip([{ path: `${baseName}.${extension}`, data: text }, ...assetFiles]);
+  await downloadFile(zip, zipName, "application/zip");
+}
+
+function renderExportText({ markdown, thread }, format, labels = {}) {
+  if (format === "html") return renderThreadHtml(thread, labels);
+  if (format === "json") return renderThreadJson(thread);
+  return markdown;
+}
+
+async function downloadFile(content, filename, mimeType) {
+  // Blob URL はポップアップが閉じると無効になり、Service Worker では作れないため data URL で渡す
+  const url =
+    typeof content === "string"
+      ? `data:${mimeType};charset=utf-8,${encodeURIComponent(content)}`
+      : `data:${mimeType};base64,${bytesToBase64(content)}`;
+  await chrome.downloads.download({ url, filename, conflictAction: "uniquify" });
+}
+
+// Content Script から届く進捗をステータス表示用の文に整える
+function formatProgress({ phase, current, total, title }) {
+  const values = { current, total, title };
+  if (phase === "canvas") return t("progressCanvas", values);
+  if (phase === "history") return t("progressHistory", values);
+  if (phase === "canvasHistory") return t("progressCanvasHistory", values);
+  if (phase === "images") return t("progressImages", values);
+  return t("progressTurns", values);
+}
+
+// 取得できなかった画像があれば完了メッセージに添える
+function formatImageWarning({ failedImages = 0 }) {
+  return failedImages > 0 ? t("imageWarning", { count: failedImages }) : "";
+}
+
+// 出力したターン数。古いターンを読み込みきれなかった場合はその旨も添える
+function formatTurnCount({ turnCount, historyComplete = null }) {
+  if (typeof turnCount !== "number") return "";
+  return t(historyComplete === false ? "turnCountIncomplete" : "turnCount", { count: turnCount });
+}
+
+function formatCanvasWarning({ skippedCanvases = [], cancelled = false }) {
+  if (skippedCanvases.length === 0) return "";
+  return t(cancelled ? "canvasWarningCancelled" : "canvasWarningFailed", {
+    count: skippedCanvases.length,
+    titles: skippedCanvases.join(", "),
+  });
+}
+
+function withTimeout(promise, ms, message) {
+  let timerId;
+  const timeout = new Promise((_, reject) => {
+    timerId = setTimeout(() => reject(new Error(message)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timerId));
+}
+
+// background.js からはページに注入して使うため、関数内で完結させること
+async function writeToClipboard(text) {
+  try {
+    await navigator.clipboard.writeText(text);
+    return;
+  } catch (err) {
+    // フォールバック: 一部環境では user activation の扱いで失敗するため
+    const textarea = document.createElement("textarea");
+    textarea.value = text;
+    textarea.setAttribute("readonly", "");
+    textarea.style.position = "fixed";
+    textarea.style.left = "-9999px";
+    textarea.style.top = "0";
+    document.body.appendChild(textarea);
+    textarea.select();
+    textarea.setSelectionRange(0, textarea.value.length);
+    const ok = document.execCommand("copy");
+    textarea.remove();
+    if (!ok) throw err;
+  }
+}
+
+// ページ右下に結果を一時表示する（background.js からページに注入して使う）
+function showPageToast(message, { error = false } = {}) {
+  const id = "gemini-thread-to-markdown-toast";
+  document.getElementById(id)?.remove();
+
+  const toast = document.createElement("div");
+  toast.id = id;
+  toast.setAttribute("role", "status");
+  toast.textContent = message;
+  Object.assign(toast.style, {
+    position: "fixed",
+    right: "24px",
+    bottom: "24px",
+    zIndex: "2147483647",
+    maxWidth: "360px",
+    padding: "10px 16px",
+    borderRadius: "8px",
+    boxShadow: "0 2px 8px rgba(0, 0, 0, 0.3)",
+    background: error ? "#d93025" : "#188038",
+    color: "#fff",
+    font: "bold 13px 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif",
+    whiteSpace: "pre-wrap",
+  });
+  document.body.appendChild(toast);
+  setTimeout(() => toast.remove(), error ? 6000 : 2500);
+}
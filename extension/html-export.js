@@ -0,0 +1,348 @@
+// content.js が返すターンモデル（thread）から、単体で閲覧できる HTML を組み立てる。
+// popup.js / background.js（Service Worker）の両方で使うため DOM API には依存しない。
+// スタイルは埋め込み、CSP で外部リソースの読み込みを禁止するためオフラインで開ける。
+// 見出しや話者名は labels（出力言語のカタログ。loadOutputLabels の結果）から引く。i18n.js を先に読み込んでおくこと。
+
+function renderThreadHtml(thread, labels) {
+  const text = createOutputText(labels);
+  const meta = [
+    `<a href="${escapeHtmlText(thread.url)}">${escapeHtmlText(thread.url)}</a>`,
+    escapeHtmlText(new Date(thread.exportedAt).toLocaleString()),
+  ];
+  if (thread.model) meta.push(escapeHtmlText(thread.model));
+
+  const body = [
+    `<header class="thread-header">`,
+    `<h1>${escapeHtmlText(thread.title)}</h1>`,
+    `<p class="meta">${meta.join(" · ")}</p>`,
+    `</header>`,
+    ...thread.turns.map((turn) => renderTurnHtml(turn, text)),
+  ];
+
+  if (thread.canvases.length > 0) {
+    body.push(`<section class="canvases">`, `<h2>${escapeHtmlText(text("outputCanvasSection"))}</h2>`);
+    for (const canvas of thread.canvases) body.push(renderCanvasHtml(canvas));
+    body.push(`</section>`);
+  }
+
+  const history = thread.canvasHistory.filter((file) => file.versions.length > 1);
+  if (history.length > 0) {
+    body.push(`<section class="canvases">`, `<h2>${escapeHtmlText(text("outputCanvasHistorySection"))}</h2>`);
+    for (const file of history) body.push(renderCanvasHistoryHtml(file, text));
+    body.push(`</section>`);
+  }
+
+  return [
+    "<!DOCTYPE html>",
+    "<html>",
+    "<head>",
+    '<meta charset="utf-8">',
+    '<meta name="viewport" content="width=device-width, initial-scale=1">',
+    `<meta http-equiv="Content-Security-Policy" content="default-src 'none'; style-src 'unsafe-inline'; img-src data:">`,
+    `<title>${escapeHtmlText(thread.title)}</title>`,
+    `<style>${THREAD_HTML_STYLE}</style>`,
+    "</head>",
+    "<body>",
+    '<main class="thread">',
+    ...body,
+    "</main>",
+    "</body>",
+    "</html>",
+    "",
+  ].join("\n");
+}
+
+function renderTurnHtml(turn, text) {
+  const role = turn.speaker === "User" ? "user" : "model";
+  const speaker = text(role === "user" ? "outputSpeakerUser" : "outputSpeakerModel");
+  const timestamp = turn.timestamp
+    ? ` <span class="timestamp">${escapeHtmlText(turn.timestamp)}</span>`
+    : "";
+  const parts = [
+    `<article class="turn turn-${role}" id="turn-${turn.index}">`,
+    `<div class="speaker">${escapeHtmlText(speaker)}${timestamp}</div>`,
+    `<div class="bubble">`,
+  ];
+
+  if (turn.thinking) {
+    parts.push(
+      `<details class="thinking">`,
+      `<summary>${escapeHtmlText(text("outputThinking"))}</summary>`,
+      highlightHtmlCodeBlocks(turn.thinking.html),
+      `</details>`
+    );
+  }
+  parts.push(highlightHtmlCodeBlocks(turn.html));
+
+  const { cited, uncited } = turn.sources;
+  if (cited.length > 0 || uncited.length > 0) {
+    parts.push(`<section class="sources">`, `<h3>${escapeHtmlText(text("outputSources"))}</h3>`);
+    if (cited.length > 0) {
+      // ↩ は最初の参照（content.js の htmlToSafeHtml が付ける fnref-番号-1）に戻る
+      parts.push(`<ol>`);
+      for (const s of cited) {
+        parts.push(
+          `<li id="fn-${s.number}" value="${s.number}">${renderSourceLink(s)} <a href="#fnref-${s.number}-1" class="backref">↩</a></li>`
+        );
+      }
+      parts.push(`</ol>`);
+    }
+    if (uncited.length > 0) {
+      parts.push(`<ul>`, ...uncited.map((s) => `<li>${renderSourceLink(s)}</li>`), `</ul>`);
+    }
+    parts.push(`</section>`);
+  }
+
+  parts.push(`</div>`, `</article>`);
+  return parts.join("\n");
+}
+
+function renderSourceLink(source) {
+  return `<a href="${escapeHtmlText(source.url)}" rel="noopener noreferrer">${escapeHtmlText(source.title)}</a>`;
+}
+
+function renderCanvasHtml(canvas) {
+  // ドキュメント Canvas は content.js が htmlToSafeHtml で組み直した HTML をターンと同じように表示する
+  if (canvas.kind === "document" && canvas.html) {
+    return [
+      `<details class="canvas">`,
+      `<summary>${escapeHtmlText(canvas.title)}</summary>`,
+      `<div class="canvas-document">`,
+      highlightHtmlCodeBlocks(canvas.html),
+      `</div>`,
+      `</details>`,
+    ].join("\n");
+  }
+  const langAttr = canvas.lang ? ` class="language-${escapeHtmlText(canvas.lang)}"` : "";
+  return [
+    `<details class="canvas">`,
+    `<summary>${escapeHtmlText(canvas.title)}</summary>`,
+    `<pre><code${langAttr}>${highlightCode(canvas.code, canvas.lang)}</code></pre>`,
+    `</details>`,
+  ].join("\n");
+}
+
+function renderCanvasHistoryHtml({ title, lang, versions }, text) {
+  const summary = `${title} (${text("outputCanvasVersionCount", { count: versions.length })})`;
+  const parts = [`<details class="canvas">`, `<summary>${escapeHtmlText(summary)}</summary>`];
+  for (const { version, turn, code, diff } of versions) {
+    const heading = text("outputCanvasVersionTurn", { version, turn });
+    parts.push(`<h3><a href="#turn-${turn}">${escapeHtmlText(heading)}</a></h3>`);
+    if (diff) parts.push(`<pre><code class="language-diff">${highlightCode(diff, "diff")}</code></pre>`);
+    parts.push(renderCanvasHtml({ title: text("outputCanvasVersion", { version }), lang, code }));
+  }
+  parts.push(`</details>`);
+  return parts.join("\n");
+}
+
+// content.js の htmlToSafeHtml が出力した <pre><code> にハイライトを付ける
+function highlightHtmlCodeBlocks(html) {
+  return String(html).replace(
+    /<pre><code(?: class="language-([^"]*)")?>([\s\S]*?)<\/code><\/pre>/g,
+    (m, lang = "", escaped) => {
+      const langAttr = lang ? ` class="language-${lang}"` : "";
+      return `<pre><code${langAttr}>${highlightCode(unescapeHtmlText(escaped), lang)}</code></pre>`;
+    }
+  );
+}
+
+// 外部ライブラリを使わない簡易ハイライト。コメント・文字列・数値・キーワードだけを色分けする
+function highlightCode(code, lang) {
+  if (String(lang).toLowerCase() === "diff") return highlightDiff(code);
+  const syntax = getCodeSyntax(lang);
+  if (!syntax) return escapeHtmlText(code);
+
+  const patterns = [
+    ...syntax.comments.map((source) => ({ source, cls: "comment" })),
+    { source: syntax.strings, cls: "string" },
+    { source: String.raw`\b(?:0x[\da-fA-F]+|\d+(?:\.\d+)?(?:[eE][+-]?\d+)?)\b`, cls: "number" },
+    { source: String.raw`\b[A-Za-z_$][\w$]*\b`, cls: "word" },
+  ];
+  const tokenRe = new RegExp(patterns.map((p) => `(${p.source})`).join("|"), "g");
+
+  let out = "";
+  let last = 0;
+  for (const match of code.matchAll(tokenRe)) {
+    out += escapeHtmlText(code.slice(last, match.index));
+    last = match.index + match[0].length;
+
+    const group = match.findIndex((value, i) => i > 0 && value !== undefined);
+    let cls = patterns[group - 1].cls;
+    if (cls === "word") cls = syntax.keywords.has(match[0]) ? "keyword" : null;
+    out += cls
+      ? `<span class="tok-${cls}">${escapeHtmlText(match[0])}</span>`
+      : escapeHtmlText(match[0]);
+  }
+  return out + escapeHtmlText(code.slice(last));
+}
+
+function highlightDiff(diff) {
+  const classify = (line) => {
+    if (/^(\+\+\+|---) /.test(line)) return "diff-header";
+    if (line.startsWith("@@")) return "diff-hunk";
+    if (line.startsWith("+")) return "diff-add";
+    if (line.startsWith("-")) return "diff-del";
+    return null;
+  };
+  return String(diff)
+    .split("\n")
+    .map((line) => {
+      const cls = classify(line);
+      return cls ? `<span class="tok-${cls}">${escapeHtmlText(line)}</span>` : escapeHtmlText(line);
+    })
+    .join("\n");
+}
+
+function getCodeSyntax(lang) {
+  const name = String(lang || "").toLowerCase();
+  const family = CODE_LANGUAGE_ALIASES[name] || name;
+  const def = CODE_SYNTAXES[family];
+  if (!def) return null;
+  return { ...def, keywords: new Set(def.keywords.split(" ")) };
+}
+
+const CODE_STRING_PATTERN = String.raw`"(?:[^"\\\n]|\\.)*"|'(?:[^'\\\n]|\\.)*'`;
+const CODE_LINE_COMMENT = String.raw`\/\/[^\n]*`;
+const CODE_BLOCK_COMMENT = String.raw`\/\*[\s\S]*?\*\/`;
+const CODE_HASH_COMMENT = String.raw`#[^\n]*`;
+
+const CODE_SYNTAXES = {
+  javascript: {
+    comments: [CODE_LINE_COMMENT, CODE_BLOCK_COMMENT],
+    strings: `${CODE_STRING_PATTERN}|\`(?:[^\`\\\\]|\\\\.)*\``,
+    keywords:
+      "async await break case catch class const continue default delete do else export extends false finally for from function if import in instanceof interface let new null of return static super switch this throw true try type typeof undefined var void while yield",
+  },
+  python: {
+    comments: [CODE_HASH_COMMENT],
+    strings: `"""[\\s\\S]*?"""|'''[\\s\\S]*?'''|${CODE_STRING_PATTERN}`,
+    keywords:
+      "and as assert async await break class continue def del elif else except False finally for from global if import in is lambda None nonlocal not or pass raise return True try while with yield",
+  },
+  c: {
+    comments: [CODE_LINE_COMMENT, CODE_BLOCK_COMMENT],
+    strings: CODE_STRING_PATTERN,
+    keywords:
+      "abstract auto bool break case catch char class const continue default delete do double else enum extends false final finally float fn for func go if impl implements import int interface let long match mut namespace new nil null package private protected public pub return self short static struct super switch this throw throws true try typedef unsigned use using var void while",
+  },
+  shell: {
+    comments: [CODE_HASH_COMMENT],
+    strings: CODE_STRING_PATTERN,
+    keywords: "case do done echo elif else esac exit export fi for function if in local return then until while",
+  },
+  sql: {
+    comments: [String.raw`--[^\n]*`, CODE_BLOCK_COMMENT],
+    strings: CODE_STRING_PATTERN,
+    keywords:
+      "SELECT FROM WHERE INSERT INTO VALUES UPDATE SET DELETE CREATE TABLE ALTER DROP JOIN LEFT RIGHT INNER OUTER ON AND OR NOT NULL AS GROUP BY ORDER HAVING LIMIT DISTINCT UNION select from where insert into values update set delete create table alter drop join left right inner outer on and or not null as group by order having limit distinct union",
+  },
+  css: {
+    comments: [CODE_BLOCK_COMMENT],
+    strings: CODE_STRING_PATTERN,
+    keywords: "important inherit initial none auto",
+  },
+  markup: {
+    comments: [String.raw`<!--[\s\S]*?-->`],
+    strings: CODE_STRING_PATTERN,
+    keywords: "",
+  },
+};
+
+const CODE_LANGUAGE_ALIASES = {
+  js: "javascript",
+  jsx: "javascript",
+  mjs: "javascript",
+  ts: "javascript",
+  tsx: "javascript",
+  typescript: "javascript",
+  json: "javascript",
+  py: "python",
+  cpp: "c",
+  "c++": "c",
+  cs: "c",
+  csharp: "c",
+  java: "c",
+  kotlin: "c",
+  go: "c",
+  rust: "c",
+  rs: "c",
+  swift: "c",
+  php: "c",
+  sh: "shell",
+  bash: "shell",
+  zsh: "shell",
+  scss: "css",
+  html: "markup",
+  xml: "markup",
+  svg: "markup",
+  vue: "markup",
+};
+
+function escapeHtmlText(text) {
+  return String(text ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function unescapeHtmlText(text) {
+  return String(text)
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&amp;/g, "&");
+}
+
+const THREAD_HTML_STYLE = `
+:root { color-scheme: light dark; --bg: #f8f9fa; --fg: #1f1f1f; --muted: #5f6368; --user: #d3e3fd; --model: #ffffff; --border: #dadce0; --code-bg: #f1f3f4; --link: #0b57d0; }
+@media (prefers-color-scheme: dark) {
+  :root { --bg: #131314; --fg: #e3e3e3; --muted: #9aa0a6; --user: #28344a; --model: #1e1f20; --border: #3c4043; --code-bg: #282a2c; --link: #a8c7fa; }
+}
+* { box-sizing: border-box; }
+body { margin: 0; background: var(--bg); color: var(--fg); font: 15px/1.6 "Segoe UI", "Hiragino Sans", "Noto Sans JP", sans-serif; }
+a { color: var(--link); }
+.thread { max-width: 860px; margin: 0 auto; padding: 24px 16px 64px; }
+.thread-header h1 { margin: 0 0 4px; font-size: 1.6em; }
+.meta { margin: 0 0 24px; color: var(--muted); font-size: 0.85em; word-break: break-all; }
+.turn { display: flex; flex-direction: column; margin: 16px 0; }
+.turn-user { align-items: flex-end; }
+.speaker { margin: 0 8px 4px; color: var(--muted); font-size: 0.8em; font-weight: bold; }
+.timestamp { font-weight: normal; }
+.bubble { max-width: 100%; padding: 12px 16px; border: 1px solid var(--border); border-radius: 16px; background: var(--model); overflow-wrap: anywhere; }
+.turn-user .bubble { max-width: 85%; background: var(--user); border-color: transparent; border-bottom-right-radius: 4px; }
+.turn-model .bubble { border-bottom-left-radius: 4px; }
+.bubble > :first-child { margin-top: 0; }
+.bubble > :last-child { margin-bottom: 0; }
+pre { padding: 12px; border-radius: 8px; background: var(--code-bg); overflow-x: auto; line-height: 1.45; }
+code { font-family: Consolas, "Courier New", monospace; font-size: 0.9em; }
+:not(pre) > code { padding: 1px 4px; border-radius: 4px; background: var(--code-bg); }
+table { border-collapse: collapse; margin: 8px 0; display: block; overflow-x: auto; }
+th, td { padding: 6px 10px; border: 1px solid var(--border); }
+blockquote { margin: 8px 0; padding-left: 12px; border-left: 4px solid var(--border); color: var(--muted); }
+.math-block, math[display="block"] { display: block; margin: 8px 0; overflow-x: auto; }
+details { margin: 8px 0; }
+summary { cursor: pointer; font-weight: bold; }
+.thinking { padding: 8px 12px; border-radius: 8px; background: var(--code-bg); font-size: 0.9em; }
+.sources { margin-top: 12px; padding-top: 8px; border-top: 1px solid var(--border); font-size: 0.85em; }
+.sources h3 { margin: 0 0 4px; font-size: 1em; }
+.backref { text-decoration: none; }
+.footnote-ref a { text-decoration: none; }
+.canvases { margin-top: 32px; }
+.canvas { border: 1px solid var(--border); border-radius: 8px; padding: 8px 12px; background: var(--model); }
+.canvas pre { margin-bottom: 0; }
+.canvas-document > :last-child { margin-bottom: 0; }
+.tok-comment { color: #6a737d; font-style: italic; }
+.tok-string { color: #188038; }
+.tok-number { color: #b06000; }
+.tok-keyword { color: #a142f4; font-weight: bold; }
+.tok-diff-header { font-weight: bold; }
+.tok-diff-hunk { color: #1a73e8; }
+.tok-diff-add { display: inline-block; width: 100%; background: rgba(52, 168, 83, 0.18); }
+.tok-diff-del { display: inline-block; width: 100%; background: rgba(234, 67, 53, 0.18); }
+@media (prefers-color-scheme: dark) {
+  .tok-string { color: #81c995; }
+  .tok-number { color: #fdd663; }
+  .tok-keyword { color: #d7aefb; }
+}
+`;
@@ -0,0 +1,51 @@
+// 画面と出力の文言（popup.js / options.js / batch.js / background.js / content.js から共有）
+// 画面の文言はブラウザの表示言語で chrome.i18n から引く。出力（Markdown/HTML）に入る文言は
+// 設定の出力言語のカタログ（_locales/<言語>/messages.json の output で始まるメッセージ）から引く。
+// メッセージ中の {name} は values の同名の値で置き換える（chrome.i18n の $1 形式は使わない）。
+
+function t(key, values = {}) {
+  const message = chrome.i18n.getMessage(key);
+  if (!message) console.warn(`Missing message: ${key}`);
+  return formatMessage(message || key, values);
+}
+
+function formatMessage(message, values = {}) {
+  return message.replace(/\{(\w+)\}/g, (m, name) => (name in values ? String(values[name]) : m));
+}
+
+// data-i18n（テキスト）、data-i18n-html（<code> などを含む説明文）、
+// data-i18n-placeholder、data-i18n-title の付いた要素に文言を入れる
+function localizePage(root = document) {
+  document.documentElement.lang = t("languageCode");
+  for (const el of root.querySelectorAll("[data-i18n]")) el.textContent = t(el.dataset.i18n);
+  for (const el of root.querySelectorAll("[data-i18n-html]")) el.innerHTML = t(el.dataset.i18nHtml);
+  for (const el of root.querySelectorAll("[data-i18n-placeholder]")) el.placeholder = t(el.dataset.i18nPlaceholder);
+  for (const el of root.querySelectorAll("[data-i18n-title]")) el.title = t(el.dataset.i18nTitle);
+}
+
+// "auto" は画面と同じ言語（ブラウザの表示言語。未対応の言語なら既定の英語）にする
+function resolveOutputLanguage(outputLanguage) {
+  return outputLanguage === "auto" ? t("languageCode") : outputLanguage;
+}
+
+// chrome.i18n は表示言語のカタログしか引けないため、出力言語のカタログは直接読む
+async function loadOutputLabels(outputLanguage) {
+  const language = resolveOutputLanguage(outputLanguage);
+  const res = await fetch(chrome.runtime.getURL(`_locales/${language}/messages.json`));
+  if (!res.ok) throw new Error(t("errorOutputLanguage", { language }));
+  return pickOutputLabels(await res.json());
+}
+
+// content.js に渡せるよう、出力用のメッセージだけを { 名前: 文言 } にする
+function pickOutputLabels(catalog) {
+  return Object.fromEntries(
+    Object.entries(catalog)
+      .filter(([key]) => key.startsWith("output"))
+      .map(([key, { message }]) => [key, message])
+  );
+}
+
+// labels にない文言は画面と同じくブラウザの表示言語で引く
+function createOutputText(labels) {
+  return (key, values) => (key in labels ? formatMessage(labels[key], values) : t(key, values));
+}
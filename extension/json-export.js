@@ -0,0 +1,44 @@
+// content.js が返すターンモデル（thread）を、外部ツール向けの JSON に変換する。
+// スキーマは docs/thread.schema.json。互換性のない変更をしたら THREAD_JSON_SCHEMA_VERSION を上げること。
+// popup.js / background.js（Service Worker）の両方で使うため DOM API には依存しない。
+
+const THREAD_JSON_SCHEMA = "gemini-thread-to-markdown/thread";
+const THREAD_JSON_SCHEMA_VERSION = 1;
+
+function renderThreadJson(thread) {
+  const canvases = thread.canvases.map(toCanvasJson);
+
+  const data = {
+    schema: THREAD_JSON_SCHEMA,
+    schemaVersion: THREAD_JSON_SCHEMA_VERSION,
+    title: thread.title,
+    url: thread.url,
+    exportedAt: thread.exportedAt,
+    model: thread.model || null,
+    turns: thread.turns.map((turn) => ({
+      index: turn.index,
+      speaker: turn.speaker === "User" ? "user" : "model",
+      timestamp: turn.timestamp || null,
+      markdown: turn.markdown,
+      text: turn.text,
+      thinking: turn.thinking ? turn.thinking.markdown : null,
+      codeBlocks: turn.codeBlocks.map(({ language, content }) => ({ language: language || null, content })),
+      images: turn.images,
+      links: turn.links,
+      citations: turn.citations.map(({ number, url, title }) => ({ number, url, title })),
+      sources: turn.sources.uncited.map(({ url, title }) => ({ url, title })),
+      canvas: canvases.filter((canvas) => turn.canvasTitles.includes(canvas.title)),
+    })),
+    canvases,
+    canvasHistory: thread.canvasHistory.map(({ title, lang, versions }) => ({
+      title,
+      language: lang || null,
+      versions: versions.map(({ version, turn, code, diff }) => ({ version, turn, content: code, diff })),
+    })),
+  };
+  return `${JSON.stringify(data, null, 2)}\n`;
+}
+
+function toCanvasJson({ title, lang, code, kind }) {
+  return { title, kind: kind || "code", language: lang || null, content: code };
+}
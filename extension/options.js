@@ -0,0 +1,358 @@
+const includeCanvasCheckbox = document.getElementById("includeCanvas");
+const canvasHistoryCheckbox = document.getElementById("canvasHistory");
+const canvasPlacementSelect = document.getElementById("canvasPlacement");
+const includeFrontMatterCheckbox = document.getElementById("includeFrontMatter");
+const loadFullHistoryCheckbox = document.getElementById("loadFullHistory");
+const includeSourcesCheckbox = document.getElementById("includeSources");
+const thinkingSelect = document.getElementById("thinking");
+const tagsInput = document.getElementById("tags");
+const filenameTemplateInput = document.getElementById("filenameTemplate");
+const exportFormatSelect = document.getElementById("exportFormat");
+const imagesSelect = document.getElementById("images");
+const outputLanguageSelect = document.getElementById("outputLanguage");
+const presetSelect = document.getElementById("templatePreset");
+const headerTemplateInput = document.getElementById("headerTemplate");
+const userTemplateInput = document.getElementById("userTemplate");
+const modelTemplateInput = document.getElementById("modelTemplate");
+const saveSettingsBtn = document.getElementById("saveSettings");
+const resetSettingsBtn = document.getElementById("resetSettings");
+const exportSettingsBtn = document.getElementById("exportSettings");
+const importSettingsBtn = document.getElementById("importSettings");
+const importFileInput = document.getElementById("importFile");
+const siteProfileNameInput = document.getElementById("siteProfileName");
+const siteProfileSelectorsDiv = document.getElementById("siteProfileSelectors");
+const testSiteProfileBtn = document.getElementById("testSiteProfile");
+const clearHighlightsBtn = document.getElementById("clearHighlights");
+const siteProfileTestResult = document.getElementById("siteProfileTestResult");
+const saveSiteProfileBtn = document.getElementById("saveSiteProfile");
+const resetSiteProfileBtn = document.getElementById("resetSiteProfile");
+const exportSiteProfileBtn = document.getElementById("exportSiteProfile");
+const importSiteProfileBtn = document.getElementById("importSiteProfile");
+const importSiteProfileFileInput = document.getElementById("importSiteProfileFile");
+const statusDiv = document.getElementById("status");
+
+const CUSTOM_PRESET = "custom";
+
+// サイトプロファイルのセレクタの種類ごとの見出しと説明（メッセージ名）
+const SITE_PROFILE_SELECTOR_LABELS = {
+  userTurn: ["siteProfileUserTurn", "siteProfileUserTurnHint"],
+  modelTurn: ["siteProfileModelTurn", "siteProfileModelTurnHint"],
+  turnContainer: ["siteProfileTurnContainer", "siteProfileTurnContainerHint"],
+  content: ["siteProfileContent", "siteProfileContentHint"],
+};
+
+localizePage();
+
+function setStatus(message, { error = false } = {}) {
+  statusDiv.textContent = message;
+  statusDiv.className = error ? "error" : "";
+}
+
+function renderPresetOptions() {
+  const entries = [
+    ...Object.entries(OUTPUT_TEMPLATE_PRESETS).map(([key, preset]) => [key, t(preset.label)]),
+    [CUSTOM_PRESET, t("templatePresetCustom")],
+  ];
+  for (const [value, label] of entries) {
+    const option = document.createElement("option");
+    option.value = value;
+    option.textContent = label;
+    presetSelect.appendChild(option);
+  }
+}
+
+function fillTemplateFields({ preset, header, user, model }) {
+  presetSelect.value = preset in OUTPUT_TEMPLATE_PRESETS ? preset : CUSTOM_PRESET;
+  headerTemplateInput.value = header;
+  userTemplateInput.value = user;
+  modelTemplateInput.value = model;
+}
+
+function fillForm(settings) {
+  includeCanvasCheckbox.checked = settings.includeCanvas;
+  canvasHistoryCheckbox.checked = settings.canvasHistory;
+  canvasPlacementSelect.value = settings.canvasPlacement;
+  includeFrontMatterCheckbox.checked = settings.includeFrontMatter;
+  loadFullHistoryCheckbox.checked = settings.loadFullHistory;
+  includeSourcesCheckbox.checked = settings.includeSources;
+  thinkingSelect.value = settings.thinking;
+  tagsInput.value = settings.tags;
+  filenameTemplateInput.value = settings.filenameTemplate;
+  exportFormatSelect.value = settings.exportFormat;
+  imagesSelect.value = settings.images;
+  outputLanguageSelect.value = settings.outputLanguage;
+  fillTemplateFields(settings.outputTemplate);
+}
+
+function readForm() {
+  return {
+    includeCanvas: includeCanvasCheckbox.checked,
+    canvasHistory: canvasHistoryCheckbox.checked,
+    canvasPlacement: canvasPlacementSelect.value,
+    includeFrontMatter: includeFrontMatterCheckbox.checked,
+    loadFullHistory: loadFullHistoryCheckbox.checked,
+    includeSources: includeSourcesCheckbox.checked,
+    thinking: thinkingSelect.value,
+    tags: tagsInput.value,
+    filenameTemplate: filenameTemplateInput.value,
+    exportFormat: exportFormatSelect.value,
+    images: imagesSelect.value,
+    outputLanguage: outputLanguageSelect.value,
+    outputTemplate: {
+      preset: presetSelect.value,
+      header: headerTemplateInput.value,
+      user: userTemplateInput.value,
+      model: modelTemplateInput.value,
+    },
+  };
+}
+
+// セレクタは一覧の上から順に試される。行ごとに並べ替え・削除でき、「現在のタブで試す」で一致数を表示する
+function fillSiteProfileForm(profile) {
+  siteProfileNameInput.value = profile.name;
+  siteProfileSelectorsDiv.textContent = "";
+  siteProfileTestResult.textContent = "";
+  for (const key of SITE_PROFILE_SELECTOR_KEYS) {
+    const [labelKey, hintKey] = SITE_PROFILE_SELECTOR_LABELS[key];
+    const fieldset = document.createElement("fieldset");
+    fieldset.dataset.key = key;
+
+    const legend = document.createElement("legend");
+    legend.textContent = t(labelKey);
+    const hint = document.createElement("p");
+    hint.className = "hint";
+    hint.textContent = t(hintKey);
+    const list = document.createElement("ol");
+    list.className = "selector-list";
+    for (const selector of profile.selectors[key]) list.appendChild(createSelectorRow(selector));
+
+    const addBtn = document.createElement("button");
+    addBtn.type = "button";
+    addBtn.className = "secondary small";
+    addBtn.textContent = t("addSelector");
+    addBtn.addEventListener("click", () => {
+      const row = createSelectorRow("");
+      list.appendChild(row);
+      row.querySelector("input").focus();
+    });
+
+    fieldset.append(legend, hint, list, addBtn);
+    siteProfileSelectorsDiv.appendChild(fieldset);
+  }
+}
+
+function createSelectorRow(selector) {
+  const row = document.createElement("li");
+  row.className = "selector-row";
+
+  const input = document.createElement("input");
+  input.type = "text";
+  input.value = selector;
+  input.spellcheck = false;
+
+  const count = document.createElement("span");
+  count.className = "selector-count";
+
+  const buttons = [
+    ["↑", "moveSelectorUp", () => row.previousElementSibling?.before(row)],
+    ["↓", "moveSelectorDown", () => row.nextElementSibling?.after(row)],
+    ["×", "removeSelector", () => row.remove()],
+  ].map(([text, titleKey, onClick]) => {
+    const button = document.createElement("button");
+    button.type = "button";
+    button.className = "secondary small";
+    button.textContent = text;
+    button.title = t(titleKey);
+    button.addEventListener("click", onClick);
+    return button;
+  });
+
+  row.append(input, count, ...buttons);
+  return row;
+}
+
+function readSiteProfileForm() {
+  const selectors = {};
+  for (const fieldset of siteProfileSelectorsDiv.querySelectorAll("fieldset")) {
+    selectors[fieldset.dataset.key] = Array.from(fieldset.querySelectorAll(".selector-row input"), (input) =>
+      input.value.trim()
+    ).filter(Boolean);
+  }
+  return { version: SITE_PROFILE_VERSION, name: siteProfileNameInput.value, selectors };
+}
+
+function showSiteProfileTestResult({ counts, turns, users, models }) {
+  for (const fieldset of siteProfileSelectorsDiv.querySelectorAll("fieldset")) {
+    const results = counts[fieldset.dataset.key] ?? [];
+    for (const row of fieldset.querySelectorAll(".selector-row")) {
+      const result = results.find((r) => r.selector === row.querySelector("input").value.trim());
+      const count = row.querySelector(".selector-count");
+      count.textContent = !result ? "" : result.invalid ? t("selectorInvalid") : t("selectorMatches", { count: result.count });
+      count.classList.toggle("error", !!result?.invalid);
+    }
+  }
+  siteProfileTestResult.textContent = t("siteProfileTestResult", { turns, users, models });
+}
+
+// 設定ページ自体がアクティブなタブなので、最後に使った Gemini のタブで試す
+async function findGeminiTab() {
+  const tabs = await chrome.tabs.query({ url: "https://gemini.google.com/*" });
+  if (tabs.length === 0) throw new Error(t("errorNoGeminiTab"));
+  return tabs.reduce((a, b) => ((b.lastAccessed ?? 0) > (a.lastAccessed ?? 0) ? b : a));
+}
+
+function downloadJson(json, filename) {
+  const url = URL.createObjectURL(new Blob([json], { type: "application/json" }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+document.addEventListener("DOMContentLoaded", async () => {
+  renderPresetOptions();
+  try {
+    fillForm(await loadSettings());
+    fillSiteProfileForm(await loadSiteProfile());
+  } catch (err) {
+    console.error(err);
+    setStatus(t("statusSettingsLoadFailed"), { error: true });
+  }
+});
+
+presetSelect.addEventListener("change", () => {
+  const preset = OUTPUT_TEMPLATE_PRESETS[presetSelect.value];
+  if (!preset) return;
+  fillTemplateFields({ preset: presetSelect.value, ...preset });
+});
+
+// 手で編集したらカスタム扱いにする
+for (const input of [headerTemplateInput, userTemplateInput, modelTemplateInput]) {
+  input.addEventListener("input", () => {
+    presetSelect.value = CUSTOM_PRESET;
+  });
+}
+
+saveSettingsBtn.addEventListener("click", async () => {
+  const settings = readForm();
+  const { user, model } = settings.outputTemplate;
+  if (!user.includes("{{content") || !model.includes("{{content")) {
+    setStatus(t("errorTemplateContent"), { error: true });
+    return;
+  }
+  try {
+    await saveSettings(settings);
+    setStatus(t("statusSettingsSaved"));
+  } catch (err) {
+    console.error(err);
+    setStatus(err?.message ?? String(err), { error: true });
+  }
+});
+
+resetSettingsBtn.addEventListener("click", async () => {
+  try {
+    fillForm(await resetSettings());
+    setStatus(t("statusSettingsReset"));
+  } catch (err) {
+    console.error(err);
+    setStatus(err?.message ?? String(err), { error: true });
+  }
+});
+
+exportSettingsBtn.addEventListener("click", async () => {
+  try {
+    downloadJson(serializeSettings(await loadSettings()), "gemini-thread-to-markdown-settings.json");
+  } catch (err) {
+    console.error(err);
+    setStatus(err?.message ?? String(err), { error: true });
+  }
+});
+
+importSettingsBtn.addEventListener("click", () => importFileInput.click());
+
+importFileInput.addEventListener("change", async () => {
+  const file = importFileInput.files?.[0];
+  importFileInput.value = "";
+  if (!file) return;
+  try {
+    const imported = parseSettingsJson(await file.text());
+    fillForm(await saveSettings(imported));
+    setStatus(t("statusSettingsImported"));
+  } catch (err) {
+    console.error(err);
+    setStatus(err?.message ?? String(err), { error: true });
+  }
+});
+
+testSiteProfileBtn.addEventListener("click", async () => {
+  try {
+    const tab = await findGeminiTab();
+    const result = await sendToContentScript(
+      tab.id,
+      { type: "testSiteProfile", profile: readSiteProfileForm() },
+      10_000
+    );
+    showSiteProfileTestResult(result);
+    setStatus(t("statusSiteProfileTested", { title: tab.title }));
+  } catch (err) {
+    console.error(err);
+    setStatus(err?.message ?? String(err), { error: true });
+  }
+});
+
+clearHighlightsBtn.addEventListener("click", async () => {
+  try {
+    const tab = await findGeminiTab();
+    await sendToContentScript(tab.id, { type: "clearHighlights" }, 10_000);
+    setStatus("");
+  } catch (err) {
+    console.error(err);
+    setStatus(err?.message ?? String(err), { error: true });
+  }
+});
+
+saveSiteProfileBtn.addEventListener("click", async () => {
+  try {
+    fillSiteProfileForm(await saveSiteProfile(readSiteProfileForm()));
+    setStatus(t("statusSiteProfileSaved"));
+  } catch (err) {
+    console.error(err);
+    setStatus(err?.message ?? String(err), { error: true });
+  }
+});
+
+resetSiteProfileBtn.addEventListener("click", async () => {
+  try {
+    fillSiteProfileForm(await resetSiteProfile());
+    setStatus(t("statusSiteProfileReset"));
+  } catch (err) {
+    console.error(err);
+    setStatus(err?.message ?? String(err), { error: true });
+  }
+});
+
+exportSiteProfileBtn.addEventListener("click", async () => {
+  try {
+    downloadJson(serializeSiteProfile(await loadSiteProfile()), "gemini-thread-to-markdown-site-profile.json");
+  } catch (err) {
+    console.error(err);
+    setStatus(err?.message ?? String(err), { error: true });
+  }
+});
+
+importSiteProfileBtn.addEventListener("click", () => importSiteProfileFileInput.click());
+
+importSiteProfileFileInput.addEventListener("change", async () => {
+  const file = importSiteProfileFileInput.files?.[0];
+  importSiteProfileFileInput.value = "";
+  if (!file) return;
+  try {
+    const imported = parseSiteProfileJson(await file.text());
+    fillSiteProfileForm(await saveSiteProfile(imported));
+    setStatus(t("statusSiteProfileImported"));
+  } catch (err) {
+    console.error(err);
+    setStatus(err?.message ?? String(err), { error: true });
+  }
+});
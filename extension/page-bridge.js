@@ -0,0 +1,42 @@
+// MAIN world で動く補助スクリプト。
+// Content Script からは Gemini のページが持つ window.monaco を参照できないため、
+// content.js の getMonacoModelContent からのイベントに応答してモデルの内容を返す。
+document.addEventListener("gemini-thread-to-markdown:monaco-request", () => {
+  const respond = (value) => {
+    document.dispatchEvent(
+      new CustomEvent("gemini-thread-to-markdown:monaco-response", {
+        // world をまたぐとオブジェクトは渡せないため JSON 文字列にする
+        detail: JSON.stringify(value),
+      })
+    );
+  };
+
+  try {
+    const monacoApi = window.monaco;
+    if (!monacoApi?.editor?.getModels) return respond(null);
+    const models = monacoApi.editor.getModels();
+    if (!models || models.length === 0) return respond(null);
+
+    // 行数が最も多いモデルを選択（表示中エディタのモデルは多くの場合最長）
+    const model = models.reduce((best, m) => {
+      const count = m.getLineCount?.() || 0;
+      if (!best || count > (best.count || 0)) {
+        return { ref: m, count };
+      }
+      return best;
+    }, null)?.ref;
+
+    if (!model?.getValue) return respond(null);
+    const code = model.getValue();
+    const langId =
+      model.getLanguageId?.() ||
+      model._languageIdentifier?.language ||
+      "";
+    const lineCount = model.getLineCount?.() || null;
+
+    respond({ code, lang: langId, lineCount });
+  } catch (e) {
+    console.warn("Failed to read Monaco model content:", e);
+    respond(null);
+  }
+});
@@ -0,0 +1,167 @@
+// 設定の読み書き（popup.js / options.js から共有）
+// chrome.storage.sync に保存するため、同じGoogleアカウントのChrome間で同期される。
+// i18n.js, templates.js を先に読み込んでおくこと。
+const SETTINGS_VERSION = 1;
+
+const DEFAULT_SETTINGS = {
+  includeCanvas: true,
+  // Canvas の版ごとの内容と差分（includeCanvas がオンのときだけ有効）
+  canvasHistory: false,
+  // Canvas の配置: "end"（末尾にまとめる） / "inline"（作成/更新したターンの直後）
+  canvasPlacement: "end",
+  includeFrontMatter: false,
+  // 長いスレッドで、遅延読み込みされる古いターンを上端までスクロールして読み込んでから出力する
+  loadFullHistory: true,
+  // 思考プロセス: "exclude"（出力しない） / "details"（折りたたみ） / "callout"（引用ブロック）
+  thinking: "exclude",
+  includeSources: true,
+  tags: "",
+  filenameTemplate: "{title}_{date}",
+  // ファイル保存時の形式（コピーは常にMarkdown）
+  exportFormat: "markdown",
+  // 画像: "link"（元のURL） / "embed"（data URIで埋め込み） / "assets"（assets/ フォルダと一緒にZIPで保存）
+  images: "link",
+  // 見出し・話者名・注意書きなど出力に入る文言の言語: "auto"（ブラウザの表示言語） / "ja" / "en"
+  outputLanguage: "auto",
+  outputTemplate: {
+    preset: DEFAULT_TEMPLATE_PRESET,
+    header: OUTPUT_TEMPLATE_PRESETS[DEFAULT_TEMPLATE_PRESET].header,
+    user: OUTPUT_TEMPLATE_PRESETS[DEFAULT_TEMPLATE_PRESET].user,
+    model: OUTPUT_TEMPLATE_PRESETS[DEFAULT_TEMPLATE_PRESET].model,
+  },
+};
+
+const THINKING_MODES = ["exclude", "details", "callout"];
+
+const CANVAS_PLACEMENTS = ["end", "inline"];
+
+const EXPORT_FORMATS = ["markdown", "html", "json", "zip"];
+
+const IMAGE_MODES = ["link", "embed", "assets"];
+
+const OUTPUT_LANGUAGES = ["auto", "ja", "en"];
+
+// 旧バージョンでポップアップの localStorage に保存していたキー
+const LEGACY_LOCAL_STORAGE_KEYS = [
+  "includeCanvas",
+  "includeFrontMatter",
+  "tags",
+  "filenameTemplate",
+  "outputTemplate",
+];
+
+async function loadSettings() {
+  await migrateLegacySettings();
+  const stored = await chrome.storage.sync.get(Object.keys(DEFAULT_SETTINGS));
+  return normalizeSettings(stored);
+}
+
+async function saveSettings(partial) {
+  const normalized = normalizeSettings({ ...(await loadSettings()), ...partial });
+  await chrome.storage.sync.set({ ...normalized, settingsVersion: SETTINGS_VERSION });
+  return normalized;
+}
+
+// サイトプロファイル（site-profile.js）など設定以外の値も同じ領域にあるため、clear() は使わない
+async function resetSettings() {
+  await chrome.storage.sync.remove([...Object.keys(DEFAULT_SETTINGS), "settingsVersion"]);
+  await chrome.storage.sync.set({ ...DEFAULT_SETTINGS, settingsVersion: SETTINGS_VERSION });
+  return normalizeSettings({});
+}
+
+// 既定値を土台に、型が合う値だけを採用する（壊れた値や未知のキーは捨てる）
+function normalizeSettings(raw) {
+  const src = raw && typeof raw === "object" ? raw : {};
+  const out = {};
+  for (const [key, defaultValue] of Object.entries(DEFAULT_SETTINGS)) {
+    const value = src[key];
+    if (key === "outputTemplate") {
+      out[key] = normalizeOutputTemplate(value);
+    } else if (key === "thinking") {
+      out[key] = THINKING_MODES.includes(value) ? value : defaultValue;
+    } else if (key === "canvasPlacement") {
+      out[key] = CANVAS_PLACEMENTS.includes(value) ? value : defaultValue;
+    } else if (key === "exportFormat") {
+      out[key] = EXPORT_FORMATS.includes(value) ? value : defaultValue;
+    } else if (key === "images") {
+      out[key] = IMAGE_MODES.includes(value) ? value : defaultValue;
+    } else if (key === "outputLanguage") {
+      out[key] = OUTPUT_LANGUAGES.includes(value) ? value : defaultValue;
+    } else if (typeof value === typeof defaultValue) {
+      out[key] = value;
+    } else {
+      out[key] = defaultValue;
+    }
+  }
+  return out;
+}
+
+function normalizeOutputTemplate(value) {
+  const fallback = DEFAULT_SETTINGS.outputTemplate;
+  if (!value || typeof value.user !== "string" || typeof value.model !== "string") {
+    return { ...fallback };
+  }
+  return {
+    preset: typeof value.preset === "string" ? value.preset : "custom",
+    header: typeof value.header === "string" ? value.header : "",
+    user: value.user,
+    model: value.model,
+  };
+}
+
+async function migrateLegacySettings() {
+  // Service Worker には localStorage がない
+  if (typeof localStorage === "undefined") return;
+  const { settingsVersion } = await chrome.storage.sync.get("settingsVersion");
+  if (settingsVersion) return;
+
+  const legacy = {};
+  for (const key of LEGACY_LOCAL_STORAGE_KEYS) {
+    const raw = localStorage.getItem(key);
+    if (raw === null) continue;
+    if (key === "includeCanvas" || key === "includeFrontMatter") {
+      legacy[key] = raw === "true";
+    } else if (key === "outputTemplate") {
+      try {
+        legacy[key] = JSON.parse(raw);
+      } catch (e) {
+        console.warn("Failed to migrate output template:", e);
+      }
+    } else {
+      legacy[key] = raw;
+    }
+  }
+
+  await chrome.storage.sync.set({ ...normalizeSettings(legacy), settingsVersion: SETTINGS_VERSION });
+  for (const key of LEGACY_LOCAL_STORAGE_KEYS) {
+    localStorage.removeItem(key);
+  }
+}
+
+function serializeSettings(settings) {
+  return JSON.stringify(
+    {
+      app: "gemini-thread-to-markdown",
+      settingsVersion: SETTINGS_VERSION,
+      settings: normalizeSettings(settings),
+    },
+    null,
+    2
+  );
+}
+
+function parseSettingsJson(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error(t("errorSettingsInvalidJson"));
+  }
+  if (!data || typeof data !== "object" || !data.settings || typeof data.settings !== "object") {
+    throw new Error(t("errorSettingsInvalidFormat"));
+  }
+  if (typeof data.settingsVersion === "number" && data.settingsVersion > SETTINGS_VERSION) {
+    throw new Error(t("errorSettingsTooNew"));
+  }
+  return normalizeSettings(data.settings);
+}
@@ -0,0 +1,104 @@
+// サイトプロファイル: 会話のターンや本文を探すセレクタの一覧（content.js / options.js から共有）
+// Gemini の DOM が変わってセレクタが合わなくなっても、設定ページでセレクタを追加・並べ替えて
+// 新しいリリースを待たずに直せるようにする。編集したプロファイルは chrome.storage.sync に保存する。
+// 各セレクタは上から順に試し、どれかに一致すればよい（1つが不正でも他のセレクタは使える）。
+// parseSiteProfileJson のエラーメッセージのため、拡張機能のページでは i18n.js を先に読み込んでおくこと。
+const SITE_PROFILE_VERSION = 1;
+
+const SITE_PROFILE_STORAGE_KEY = "siteProfile";
+
+const DEFAULT_SITE_PROFILE = {
+  version: SITE_PROFILE_VERSION,
+  name: "Gemini",
+  selectors: {
+    // ユーザーの発言
+    userTurn: [
+      "user-query",
+      '[data-test-id="user-query"]',
+      '[data-message-role="user"]',
+      '[data-message-author="user"]',
+    ],
+    // Gemini の応答
+    modelTurn: [
+      "model-response",
+      '[data-test-id="model-response"]',
+      '[data-message-role="assistant"]',
+      '[data-message-author="assistant"]',
+    ],
+    // 上の2つがどれも見つからないときに、ターンとみなす要素（話者はクラス名で判定する）
+    turnContainer: ['[data-test-id*="turn" i]', '[data-testid*="turn" i]', '[role="listitem"]'],
+    // ターンの中で本文とみなす要素（最初に見つかった、テキストのあるもの）
+    content: [
+      "[data-message-text]",
+      '[data-test-id*="message" i]',
+      "message-content",
+      ".message-content",
+      ".markdown",
+      ".content",
+      "article",
+      "section",
+    ],
+  },
+};
+
+const SITE_PROFILE_SELECTOR_KEYS = Object.keys(DEFAULT_SITE_PROFILE.selectors);
+
+// 編集したプロファイルがなければ既定のプロファイルを返す
+async function loadSiteProfile() {
+  const { [SITE_PROFILE_STORAGE_KEY]: stored } = await chrome.storage.sync.get(SITE_PROFILE_STORAGE_KEY);
+  return normalizeSiteProfile(stored);
+}
+
+async function saveSiteProfile(profile) {
+  const normalized = normalizeSiteProfile(profile);
+  await chrome.storage.sync.set({ [SITE_PROFILE_STORAGE_KEY]: normalized });
+  return normalized;
+}
+
+async function resetSiteProfile() {
+  await chrome.storage.sync.remove(SITE_PROFILE_STORAGE_KEY);
+  return normalizeSiteProfile(null);
+}
+
+// 既定のプロファイルを土台に、文字列の配列になっているセレクタだけを採用する（空の一覧は既定に戻す）
+function normalizeSiteProfile(raw) {
+  const src = raw && typeof raw === "object" ? raw : {};
+  const srcSelectors = src.selectors && typeof src.selectors === "object" ? src.selectors : {};
+  const selectors = {};
+  for (const key of SITE_PROFILE_SELECTOR_KEYS) {
+    const list = Array.isArray(srcSelectors[key])
+      ? srcSelectors[key].filter((s) => typeof s === "string").map((s) => s.trim()).filter(Boolean)
+      : [];
+    selectors[key] = list.length > 0 ? Array.from(new Set(list)) : [...DEFAULT_SITE_PROFILE.selectors[key]];
+  }
+  return {
+    version: SITE_PROFILE_VERSION,
+    name: typeof src.name === "string" && src.name.trim() ? src.name.trim() : DEFAULT_SITE_PROFILE.name,
+    selectors,
+  };
+}
+
+function serializeSiteProfile(profile) {
+  return JSON.stringify(
+    { app: "gemini-thread-to-markdown", siteProfile: normalizeSiteProfile(profile) },
+    null,
+    2
+  );
+}
+
+function parseSiteProfileJson(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error(t("errorSettingsInvalidJson"));
+  }
+  const profile = data?.siteProfile;
+  if (!profile || typeof profile !== "object" || !profile.selectors || typeof profile.selectors !== "object") {
+    throw new Error(t("errorSiteProfileInvalidFormat"));
+  }
+  if (typeof profile.version === "number" && profile.version > SITE_PROFILE_VERSION) {
+    throw new Error(t("errorSiteProfileTooNew"));
+  }
+  return normalizeSiteProfile(profile);
+}
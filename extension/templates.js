@@ -0,0 +1,33 @@
+// 出力テンプレートのプリセット定義（popup.js / options.js から共有）
+// label は設定画面に表示する名前のメッセージ名（_locales）
+// 使える変数: {{title}}（header のみ）, {{speaker}}, {{index}}, {{content}}, {{timestamp}}（ページに表示がなければ空）,
+//   {{exported}}（エクスポート日時）
+// フィルタ: {{content|quote}} で各行を引用（"> "）にする
+const OUTPUT_TEMPLATE_PRESETS = {
+  headings: {
+    label: "templatePresetHeadings",
+    header: "# {{title}}",
+    user: "## {{speaker}}\n{{content}}\n\n---",
+    model: "## {{speaker}}\n{{content}}\n\n---",
+  },
+  blockquote: {
+    label: "templatePresetBlockquote",
+    header: "# {{title}}",
+    user: "> **{{speaker}}**\n>\n{{content|quote}}",
+    model: "{{content}}\n\n---",
+  },
+  details: {
+    label: "templatePresetDetails",
+    header: "# {{title}}",
+    user: "## {{speaker}}\n{{content}}",
+    model: "<details>\n<summary>{{speaker}}</summary>\n\n{{content}}\n\n</details>\n\n---",
+  },
+  chatlog: {
+    label: "templatePresetChatlog",
+    header: "# {{title}}",
+    user: "**[{{index}}] {{speaker}}:** {{content}}",
+    model: "**[{{index}}] {{speaker}}:** {{content}}",
+  },
+};
+
+const DEFAULT_TEMPLATE_PRESET = "headings";
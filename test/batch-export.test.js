@@ -0,0 +1,125 @@
+// 一括エクスポート: サイドバーからの会話一覧の取得と、ZIP に入れるファイル（index.md を含む）の組み立てを確認する。
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { createGeminiPage } = require("./helpers/gemini-page");
+const { loadExtensionScripts, readOutputLabels } = require("./helpers/extension");
+
+const SIDEBAR = `
+<side-navigation-v2>
+  <conversations-list>
+    <a data-test-id="conversation" href="/app/abc123"><div class="conversation-title">Todoアプリ</div></a>
+    <div data-test-id="conversation" role="button" jslog="186014;track:generic_click;BardVeMetadataKey:[[&quot;r_1&quot;,&quot;c_def456&quot;,null]]">
+      <div class="conversation-title">  京都旅行の
+        計画 </div>
+    </div>
+    <a data-test-id="conversation" href="/app/abc123"><div class="conversation-title">Todoアプリ</div></a>
+    <a href="/gem/coding-partner/987fed"><div class="conversation-title">Gemでの会話</div></a>
+  </conversations-list>
+</side-navigation-v2>
+<user-query><p>こんにちは</p></user-query>`;
+
+test("listConversations reads recent chats from the sidebar", async () => {
+  const page = createGeminiPage(SIDEBAR, { url: "https://gemini.google.com/app/def456" });
+  try {
+    const conversations = await page.api.listConversations();
+    assert.deepEqual(JSON.parse(JSON.stringify(conversations)), [
+      { title: "Todoアプリ", url: "https://gemini.google.com/app/abc123", current: false },
+      { title: "京都旅行の 計画", url: "https://gemini.google.com/app/def456", current: true },
+      { title: "Gemでの会話", url: "https://gemini.google.com/gem/coding-partner/987fed", current: false },
+    ]);
+  } finally {
+    page.close();
+  }
+});
+
+function loadBatchExport() {
+  return loadExtensionScripts(["i18n.js", "templates.js", "settings.js", "zip.js", "export.js", "batch-export.js"]);
+}
+
+test("buildBatchZipEntries writes one file per thread and an index", () => {
+  const batch = loadBatchExport();
+  const job = batch.createBatchJob(
+    [
+      { title: "Todoアプリ", url: "https://gemini.google.com/app/abc123" },
+      { title: "Todoアプリ", url: "https://gemini.google.com/app/abc999" },
+      { title: "京都旅行", url: "https://gemini.google.com/app/def456" },
+      { title: "未処理", url: "https://gemini.google.com/app/000000" },
+    ],
+    new Date("2025-01-01T00:00:00Z")
+  );
+  job.items[0].status = "done";
+  job.items[0].result = {
+    title: "Todoアプリ",
+    markdown: "# Todoアプリ\n\n![図](assets/image-001.png)",
+    assets: [{ path: "assets/image-001.png", dataUri: "data:image/png;base64,iVBORw==" }],
+    turnCount: 4,
+  };
+  job.items[1].status = "done";
+  job.items[1].result = { title: "Todoアプリ", markdown: "# Todoアプリ\n", assets: [], turnCount: 2 };
+  job.items[2].status = "failed";
+  job.items[2].error = "タイムアウトしました。";
+
+  const entries = batch.buildBatchZipEntries(job, {
+    filenameTemplate: "gemini/{title}",
+    date: new Date("2025-01-02T03:04:05Z"),
+    labels: readOutputLabels(),
+  });
+  assert.deepEqual(
+    Array.from(entries, (e) => e.path),
+    ["index.md", "gemini/Todoアプリ.md", "gemini/Todoアプリ (2).md", "assets/gemini_Todoアプリ/image-001.png"]
+  );
+  assert.equal(
+    entries[1].data,
+    `# Todoアプリ\n\n![図](${encodeURI("../assets/gemini_Todoアプリ/image-001.png")})\n`
+  );
+  assert.deepEqual([...entries[3].data], [0x89, 0x50, 0x4e, 0x47]);
+  assert.equal(
+    entries[0].data,
+    [
+      "# Gemini export",
+      "",
+      "- Exported: 2025-01-02T03:04:05.000Z",
+      "- Threads: 2 / 4",
+      "",
+      "| # | Title | Turns | File |",
+      "| --- | --- | --- | --- |",
+      `| 1 | [Todoアプリ](https://gemini.google.com/app/abc123) | 4 | [gemini/Todoアプリ.md](${encodeURI("gemini/Todoアプリ.md")}) |`,
+      `| 2 | [Todoアプリ](https://gemini.google.com/app/abc999) | 2 | [gemini/Todoアプリ (2).md](${encodeURI("gemini/Todoアプリ (2).md")}) |`,
+      "",
+      "## Not exported",
+      "",
+      "- [京都旅行](https://gemini.google.com/app/def456): タイムアウトしました。",
+      "- [未処理](https://gemini.google.com/app/000000): not processed",
+      "",
+    ].join("\n")
+  );
+  assert.deepEqual(Array.from(batch.getUnfinishedBatchItems(job), (item) => item.title), ["京都旅行", "未処理"]);
+});
+
+test("the index escapes brackets in link text", () => {
+  const batch = loadBatchExport();
+  const job = batch.createBatchJob(
+    [
+      { title: "[下書き] 計画 | v2", url: "https://gemini.google.com/app/abc123" },
+      { title: "メモ [1]", url: "https://gemini.google.com/app/def456" },
+    ],
+    new Date("2025-01-01T00:00:00Z")
+  );
+  job.items[0].status = "done";
+  job.items[0].result = { title: "[下書き] 計画 | v2", markdown: "# 計画\n", assets: [], turnCount: 2 };
+
+  const [index] = batch.buildBatchZipEntries(job, {
+    filenameTemplate: "{title}",
+    date: new Date("2025-01-02T00:00:00Z"),
+    labels: readOutputLabels(),
+  });
+  const lines = index.data.split("\n");
+  const file = "[下書き] 計画 _ v2.md";
+  assert.ok(
+    lines.includes(
+      `| 1 | [\\[下書き\\] 計画 \\| v2](https://gemini.google.com/app/abc123) | 2 | [\\[下書き\\] 計画 _ v2.md](${encodeURI(file)}) |`
+    ),
+    index.data
+  );
+  assert.ok(lines.includes("- [メモ \\[1\\]](https://gemini.google.com/app/def456): not processed"), index.data);
+});
@@ -0,0 +1,93 @@
+// サイドバーのファイル一覧から Canvas を順に開く処理の進捗通知と、途中での中断を確認する。
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { createGeminiPage } = require("./helpers/gemini-page");
+
+const FILES = {
+  "index.html": ["<!DOCTYPE html>", "<script src=\"app.js\"></script>"],
+  "app.js": ["console.log(\"app\");"],
+  "style.css": ["body { margin: 0; }"],
+};
+
+const FIXTURE = `
+<user-query><p>Todoアプリを作って</p></user-query>
+<model-response>
+  <message-content><div class="markdown"><p>Canvasに3つのファイルを作成しました。</p></div></message-content>
+</model-response>
+<side-navigation-v2>
+  <button aria-label="Close sidebar"></button>
+  <div class="source-container">
+    ${Object.keys(FILES)
+      .map((name) => `<sidebar-immersive-chip><div class="container"><span class="immersive-title">${name}</span></div></sidebar-immersive-chip>`)
+      .join("\n")}
+  </div>
+</side-navigation-v2>
+<code-immersive-panel>
+  <div class="toolbar"><div class="gds-title-m"></div></div>
+  <div class="monaco-editor"><div class="view-lines"></div></div>
+</code-immersive-panel>`;
+
+// ファイル一覧のチップを押すと、そのファイルがエディタに表示されるようにする
+function createSidebarPage({ onOpen = () => {} } = {}) {
+  const page = createGeminiPage(FIXTURE);
+  const { document } = page;
+  for (const chip of document.querySelectorAll("sidebar-immersive-chip")) {
+    const name = chip.querySelector(".immersive-title").textContent;
+    chip.querySelector(".container").addEventListener("click", () => {
+      if (onOpen(name) === false) return;
+      document.querySelector(".gds-title-m").textContent = name;
+      document.querySelector(".view-lines").innerHTML = FILES[name]
+        .map((line) => `<div class="view-line">${line.replace(/</g, "&lt;")}</div>`)
+        .join("");
+    });
+  }
+  return page;
+}
+
+test("canvas extraction reports progress for each file", async () => {
+  const page = createSidebarPage();
+  const progress = [];
+  try {
+    const result = await page.api.extractThread(
+      { includeCanvas: true, template: page.presets.headings },
+      { onProgress: (p) => p.phase === "canvas" && progress.push(`${p.current}/${p.total}: ${p.title}`) }
+    );
+    assert.deepEqual(progress, ["1/3: index.html", "2/3: app.js", "3/3: style.css"]);
+    assert.deepEqual(Array.from(result.thread.canvases, (c) => c.title), Object.keys(FILES));
+    assert.deepEqual(Array.from(result.skippedCanvases), []);
+    assert.equal(result.cancelled, false);
+  } finally {
+    page.close();
+  }
+});
+
+test("cancelling stops the loop and returns the files read so far", async () => {
+  const controller = new AbortController();
+  // 2つ目のファイルを開いている最中（エディタが切り替わる前）に中断する
+  const page = createSidebarPage({
+    onOpen: (name) => {
+      if (name !== "app.js") return true;
+      controller.abort();
+      return false;
+    },
+  });
+  try {
+    const started = Date.now();
+    const result = await page.api.extractThread(
+      { includeCanvas: true, template: page.presets.headings },
+      { signal: controller.signal }
+    );
+    // 表示待ち（最大8秒）を待たずに戻る
+    assert.ok(Date.now() - started < 3000);
+    assert.deepEqual(Array.from(result.thread.canvases, (c) => c.title), ["index.html"]);
+    assert.deepEqual(Array.from(result.skippedCanvases), ["app.js", "style.css"]);
+    assert.equal(result.cancelled, true);
+    assert.match(
+      result.markdown,
+      /> \[!WARNING\]\n> \*\*Canvas extraction was cancelled\.\*\* Skipped: app\.js, style\.css$/
+    );
+    assert.doesNotMatch(result.markdown, /Canvas content not found/);
+  } finally {
+    page.close();
+  }
+});
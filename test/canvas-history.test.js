@@ -0,0 +1,126 @@
+// Canvas の版ごとの取得（ターン内のチップを順に開く）と unified diff を確認する。
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { createGeminiPage } = require("./helpers/gemini-page");
+
+const VERSIONS = [
+  ["const todos = [];", "function add(todo) {", "  todos.push(todo);", "}"],
+  ["const todos = [];", "function add(todo) {", "  if (!todo) return;", "  todos.push(todo);", "}"],
+];
+
+function chip(title) {
+  return `<immersive-entry-chip><button><span class="immersive-title">${title}</span></button></immersive-entry-chip>`;
+}
+
+const FIXTURE = `
+<user-query><p>Todoアプリを作って</p></user-query>
+<model-response>
+  <message-content><div class="markdown"><p>作成しました。</p></div></message-content>
+  ${chip("app.js")}
+</model-response>
+<user-query><p>空のTodoを無視して</p></user-query>
+<model-response>
+  <message-content><div class="markdown"><p>修正しました。</p></div></message-content>
+  ${chip("app.js")}
+</model-response>
+<code-immersive-panel>
+  <div class="toolbar"><div class="gds-title-m">app.js</div></div>
+  <div class="monaco-editor"><div class="view-lines"></div></div>
+</code-immersive-panel>`;
+
+// チップを押すと、そのターン時点の版がエディタに表示されるようにする
+function createHistoryPage() {
+  const page = createGeminiPage(FIXTURE);
+  const { document } = page;
+  const showVersion = (lines) => {
+    const view = document.querySelector(".view-lines");
+    view.innerHTML = lines.map((l) => `<div class="view-line">${l}</div>`).join("");
+  };
+  showVersion(VERSIONS[1]);
+  document.querySelectorAll("immersive-entry-chip button").forEach((button, i) => {
+    button.addEventListener("click", () => showVersion(VERSIONS[i]));
+  });
+  return page;
+}
+
+test("canvas history exports each version with a diff", async () => {
+  const page = createHistoryPage();
+  try {
+    const result = await page.api.extractThread({
+      includeCanvas: true,
+      canvasHistory: true,
+      template: page.presets.headings,
+    });
+    const history = result.markdown.slice(result.markdown.indexOf("## Canvas history: app.js"));
+    assert.equal(
+      history,
+      [
+        "## Canvas history: app.js",
+        "",
+        "### Version 1 (Turn 2)",
+        "",
+        "```javascript",
+        ...VERSIONS[0],
+        "```",
+        "",
+        "### Version 2 (Turn 4)",
+        "",
+        "```diff",
+        "--- app.js (Version 1)",
+        "+++ app.js (Version 2)",
+        "@@ -1,4 +1,5 @@",
+        " const todos = [];",
+        " function add(todo) {",
+        "+  if (!todo) return;",
+        "   todos.push(todo);",
+        " }",
+        "```",
+        "",
+        "```javascript",
+        ...VERSIONS[1],
+        "```",
+      ].join("\n")
+    );
+    assert.deepEqual(
+      Array.from(result.thread.canvasHistory[0].versions, (v) => v.turn),
+      [2, 4]
+    );
+  } finally {
+    page.close();
+  }
+});
+
+test("createUnifiedDiff splits distant changes into separate hunks", () => {
+  const page = createGeminiPage("");
+  try {
+    const before = Array.from({ length: 20 }, (_, i) => `line ${i + 1}`);
+    const after = [...before];
+    after[1] = "changed 2";
+    after.splice(17, 1);
+    assert.equal(
+      page.api.createUnifiedDiff(before.join("\n"), after.join("\n")),
+      [
+        "--- a",
+        "+++ b",
+        "@@ -1,5 +1,5 @@",
+        " line 1",
+        "-line 2",
+        "+changed 2",
+        " line 3",
+        " line 4",
+        " line 5",
+        "@@ -15,6 +15,5 @@",
+        " line 15",
+        " line 16",
+        " line 17",
+        "-line 18",
+        " line 19",
+        " line 20",
+      ].join("\n")
+    );
+    assert.equal(page.api.createUnifiedDiff("same", "same"), "--- a\n+++ b");
+    assert.equal(page.api.createUnifiedDiff("", "new"), "--- a\n+++ b\n@@ -1,1 +1,1 @@\n-\n+new");
+  } finally {
+    page.close();
+  }
+});
@@ -0,0 +1,62 @@
+// test/fixtures/*.html を変換し、同名の .md（ゴールデンファイル）と比較する。
+// 期待値を更新する場合: UPDATE_GOLDEN=1 npm test
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const path = require("node:path");
+const { createGeminiPage } = require("./helpers/gemini-page");
+
+const FIXTURES_DIR = path.join(__dirname, "fixtures");
+const UPDATE = process.env.UPDATE_GOLDEN === "1";
+
+// フィクスチャ先頭の <!-- options: {...} --> で抽出オプションを指定できる
+// （preset は出力テンプレート、locale はブラウザの表示言語）
+function readFixture(name) {
+  const html = fs.readFileSync(path.join(FIXTURES_DIR, name), "utf8");
+  const match = html.match(/^<!--\s*options:\s*(\{[\s\S]*?\})\s*-->/);
+  return { html, options: match ? JSON.parse(match[1]) : {} };
+}
+
+const fixtures = fs.readdirSync(FIXTURES_DIR).filter((f) => f.endsWith(".html")).sort();
+
+for (const name of fixtures) {
+  test(`fixture: ${name}`, async () => {
+    const { html, options } = readFixture(name);
+    const { preset = "headings", locale, ...extractOptions } = options;
+    const page = createGeminiPage(html, { locale });
+    try {
+      const result = await page.api.extractThread({
+        ...extractOptions,
+        template: page.presets[preset],
+      });
+
+      const goldenPath = path.join(FIXTURES_DIR, name.replace(/\.html$/, ".md"));
+      const actual = `${result.markdown}\n`;
+      if (UPDATE || !fs.existsSync(goldenPath)) {
+        fs.writeFileSync(goldenPath, actual);
+        if (!UPDATE) assert.fail(`golden file was missing and has been written: ${goldenPath}`);
+        return;
+      }
+      assert.equal(actual, fs.readFileSync(goldenPath, "utf8"));
+    } finally {
+      page.close();
+    }
+  });
+}
+
+test("turns without a shown time get an empty timestamp, and the export time is a separate variable", async () => {
+  const page = createGeminiPage(`
+    <user-query><p>質問です</p></user-query>
+    <model-response><time datetime="2025-01-02T03:04:05Z"></time><message-content><p>回答です</p></message-content></model-response>`);
+  try {
+    const result = await page.api.extractThread({
+      template: { header: "exported: {{exported}}", user: "[{{timestamp}}] {{content}}", model: "[{{timestamp}}] {{content}}" },
+    });
+    const [header, user, model] = result.markdown.split("\n\n");
+    assert.match(header, /^exported: \S/);
+    assert.equal(user, "[] 質問です");
+    assert.equal(model, `[${new Date("2025-01-02T03:04:05Z").toLocaleString()}] 回答です`);
+  } finally {
+    page.close();
+  }
+});
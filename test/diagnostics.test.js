@@ -0,0 +1,119 @@
+// 診断レポート: 直近の抽出の記録とページの状態を集められ、会話の内容が含まれないことを確認する。
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { createGeminiPage } = require("./helpers/gemini-page");
+const { loadExtensionScripts } = require("./helpers/extension");
+
+const SECRET = "秘密のプロジェクト";
+
+const FIXTURE = `
+  <div class="conversation-container">
+    <user-query data-test-id="user-query" aria-label="${SECRET}"><p>${SECRET}について教えて</p></user-query>
+    <model-response><message-content><div class="markdown"><p>${SECRET}の概要です。</p><img src="https://example.com/a.png" alt="${SECRET}"></div></message-content></model-response>
+  </div>
+  <div class="conversation-container">
+    <user-query data-test-id="user-query"><p>続き</p></user-query>
+    <model-response><message-content><div class="markdown"><p>はい。</p></div></message-content></model-response>
+  </div>`;
+
+function loadDiagnostics() {
+  return loadExtensionScripts(["i18n.js", "diagnostics.js"]);
+}
+
+test("diagnostics record the last extraction and omit conversation text", async () => {
+  const page = createGeminiPage(FIXTURE, {
+    url: "https://gemini.google.com/app/1a2b3c4d5e",
+    storage: { siteProfile: { name: "社内用", selectors: { content: [".markdown"] } } },
+  });
+  try {
+    const extracted = await page.sendMessage({
+      type: "extract",
+      requestId: "r1",
+      options: { template: page.presets.headings },
+    });
+    assert.equal(extracted.turnCount, 4);
+
+    const { diagnostics } = JSON.parse(JSON.stringify(await page.sendMessage({ type: "diagnose" })));
+    assert.equal(diagnostics.page.path, "/app/:id");
+    assert.deepEqual(Object.keys(diagnostics.lastRun.phases), ["start", "turns"]);
+    assert.equal(diagnostics.lastRun.turnCount, 4);
+    assert.equal(diagnostics.lastRun.error, null);
+    // 保存したサイトプロファイルで抽出している
+    assert.equal(diagnostics.siteProfile.name, "社内用");
+    assert.equal(diagnostics.siteProfile.customized, true);
+    assert.deepEqual(diagnostics.siteProfile.counts.content, [{ selector: ".markdown", count: 2 }]);
+    assert.equal(diagnostics.siteProfile.users, 2);
+    assert.equal(diagnostics.ui.sidebarWasOpen, false);
+
+    assert.ok(!JSON.stringify(diagnostics).includes(SECRET));
+    assert.ok(!diagnostics.skeleton.includes("example.com"));
+    assert.match(
+      diagnostics.skeleton,
+      /^ {4}div\.conversation-container\n {6}user-query\[data-test-id="user-query"\]\[aria-label\]\n/m
+    );
+    // 同じ形の2つ目のターンは件数にまとめる
+    assert.match(diagnostics.skeleton, /^ {4}… ×1$/m);
+
+    const report = loadDiagnostics().formatDiagnosticReport({
+      version: "1.0.0",
+      uiLanguage: "ja",
+      userAgent: "test",
+      date: new Date("2025-01-01T00:00:00Z"),
+      error: null,
+      diagnostics,
+    });
+    assert.match(report, /^- Site profile: 社内用 \(version 1, customized\)$/m);
+    assert.match(report, /^\| userTurn \| `user-query` \| 2 \|$/m);
+    assert.match(report, /^\| turns \| \d+ ms \|$/m);
+    assert.ok(!report.includes(SECRET));
+  } finally {
+    page.close();
+  }
+});
+
+test("diagnostics keep the error of a failed extraction", async () => {
+  const page = createGeminiPage(`<p id="draft-${SECRET}">${SECRET}</p>`, {
+    url: "https://gemini.google.com/gem/my-project/abcdef",
+  });
+  try {
+    const extracted = await page.sendMessage({ type: "extract", requestId: "r1", options: {} });
+    assert.match(extracted.error, /Could not find the conversation/);
+
+    const { diagnostics } = await page.sendMessage({ type: "diagnose" });
+    assert.equal(diagnostics.lastRun.error, extracted.error);
+    assert.equal(diagnostics.siteProfile.turns, 0);
+    // 数字を含まない Gem の名前や会話 ID も伏せる
+    assert.equal(diagnostics.page.path, "/gem/:id/:id");
+    assert.match(diagnostics.skeleton, /^ {4}p\[id\]$/m);
+    assert.ok(!diagnostics.skeleton.includes(SECRET));
+    assert.ok(!diagnostics.skeleton.includes("draft"));
+  } finally {
+    page.close();
+  }
+});
+
+test("the report still lists extension details when the page cannot be reached", () => {
+  const report = loadDiagnostics().formatDiagnosticReport({
+    version: "1.0.0",
+    uiLanguage: "en",
+    userAgent: "test",
+    date: new Date("2025-01-01T00:00:00Z"),
+    error: "Timed out.",
+    diagnostics: null,
+    diagnosticsError: "This is not a Gemini page.",
+  });
+  assert.equal(
+    report,
+    [
+      "# Gemini Thread to Markdown diagnostic report",
+      "",
+      "- Extension version: 1.0.0",
+      "- Created: 2025-01-01T00:00:00.000Z",
+      "- Browser UI language: en",
+      "- User agent: test",
+      "- Last error in popup: Timed out.",
+      "- Page diagnostics unavailable: This is not a Gemini page.",
+      "",
+    ].join("\n")
+  );
+});
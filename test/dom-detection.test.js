@@ -0,0 +1,144 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { createGeminiPage } = require("./helpers/gemini-page");
+
+test("collectConversationNodes returns turns in DOM order without nested duplicates", () => {
+  const page = createGeminiPage(`
+    <div class="conversation-container">
+      <user-query><div data-message-role="user"><p>q1</p></div></user-query>
+      <model-response><message-content><p>a1</p></message-content></model-response>
+    </div>
+    <div class="conversation-container">
+      <user-query><p>q2</p></user-query>
+      <model-response><message-content><p>a2</p></message-content></model-response>
+    </div>
+  `);
+  const nodes = page.api.collectConversationNodes(page.document.querySelector("main"));
+  // jsdom 側の配列はプロトタイプが異なるため Array.from で Node 側の配列にする
+  assert.deepEqual(
+    Array.from(nodes, (n) => n.tagName.toLowerCase()),
+    ["user-query", "model-response", "user-query", "model-response"]
+  );
+  assert.deepEqual(Array.from(nodes, (n) => n.textContent.trim()), ["q1", "a1", "q2", "a2"]);
+  page.close();
+});
+
+test("collectConversationNodes falls back to turn containers", () => {
+  const page = createGeminiPage(`
+    <div data-test-id="chat-turn" class="user-turn"><p>hello</p></div>
+    <div data-test-id="chat-turn" class="bot-turn"><p>hi</p></div>
+    <div data-test-id="chat-turn"></div>
+  `);
+  const nodes = page.api.collectConversationNodes(page.document.querySelector("main"));
+  assert.equal(nodes.length, 2);
+  assert.deepEqual(Array.from(nodes, (n) => page.api.getSpeaker(n)), ["User", "Gemini"]);
+  page.close();
+});
+
+test("getSpeaker recognises tags and data attributes", () => {
+  const page = createGeminiPage(`
+    <user-query id="a"></user-query>
+    <model-response id="b"></model-response>
+    <div id="c" data-message-author="user"></div>
+    <div id="d" data-message-role="assistant"></div>
+  `);
+  const speakers = ["a", "b", "c", "d"].map((id) => page.api.getSpeaker(page.document.getElementById(id)));
+  assert.deepEqual(speakers, ["User", "Gemini", "User", "Gemini"]);
+  page.close();
+});
+
+test("getBestContentNode prefers message content over the turn wrapper", () => {
+  const page = createGeminiPage(`
+    <model-response>
+      <div class="response-header">Gemini</div>
+      <message-content><div class="markdown"><p>body</p></div></message-content>
+    </model-response>
+  `);
+  const node = page.document.querySelector("model-response");
+  assert.equal(page.api.getBestContentNode(node).tagName.toLowerCase(), "message-content");
+  page.close();
+});
+
+test("getBestContentNode falls back to the node itself", () => {
+  const page = createGeminiPage(`<user-query>plain text</user-query>`);
+  const node = page.document.querySelector("user-query");
+  assert.equal(page.api.getBestContentNode(node), node);
+  page.close();
+});
+
+test("extractThread reports an error when no conversation is found", async () => {
+  const page = createGeminiPage(`<p>nothing here</p>`, { locale: "ja" });
+  await assert.rejects(
+    page.api.extractThread({ template: page.presets.headings }),
+    /会話要素を特定できませんでした/
+  );
+  page.close();
+});
+
+// Canvas のファイル一覧。閉じるボタンとコードタブの見た目（アイコン/文言）だけを差し替えて、
+// 日本語・英語以外の表示言語でもサイドバーとコードタブを見つけられるかを確かめる
+function createCanvasSidebarPage({ closeButton, codeTab }) {
+  const page = createGeminiPage(`
+    <user-query><p>Todoアプリを作って</p></user-query>
+    <model-response><message-content><p>Canvasを作成しました。</p></message-content></model-response>
+    <side-navigation-v2>
+      ${closeButton}
+      ${codeTab}
+      <div class="source-container">
+        <sidebar-immersive-chip><div class="container"><span class="immersive-title">app.js</span></div></sidebar-immersive-chip>
+      </div>
+    </side-navigation-v2>
+    <code-immersive-panel>
+      <div class="toolbar"><div class="gds-title-m"></div></div>
+      <div class="monaco-editor"><div class="view-lines"></div></div>
+    </code-immersive-panel>
+  `);
+  const { document } = page;
+  // チップではファイルが開くだけで、コードタブを押して初めて中身が表示される
+  document.querySelector("sidebar-immersive-chip .container").addEventListener("click", () => {
+    document.querySelector(".gds-title-m").textContent = "app.js";
+  });
+  document.querySelector('side-navigation-v2 button[role="radio"]').addEventListener("click", () => {
+    if (!document.querySelector(".gds-title-m").textContent) return;
+    document.querySelector(".view-lines").innerHTML = '<div class="view-line">console.log("app");</div>';
+  });
+  return page;
+}
+
+async function extractCanvases(page) {
+  const result = await page.api.extractThread({ includeCanvas: true, template: page.presets.headings });
+  return {
+    canvases: Array.from(result.thread.canvases, (c) => `${c.title}: ${c.code}`),
+    skipped: Array.from(result.skippedCanvases),
+  };
+}
+
+test("canvas controls are found by their icons regardless of the page language", async () => {
+  const page = createCanvasSidebarPage({
+    closeButton: '<button aria-label="Zamknij panel boczny"><mat-icon fonticon="close"></mat-icon></button>',
+    codeTab: '<button role="radio"><mat-icon fonticon="code"></mat-icon>Kod</button>',
+  });
+  try {
+    assert.deepEqual(await extractCanvases(page), {
+      canvases: ['app.js: console.log("app");'],
+      skipped: [],
+    });
+  } finally {
+    page.close();
+  }
+});
+
+test("canvas controls fall back to localized labels when there is no icon", async () => {
+  const page = createCanvasSidebarPage({
+    closeButton: '<button aria-label="사이드바 닫기"></button>',
+    codeTab: '<button role="radio">코드</button>',
+  });
+  try {
+    assert.deepEqual(await extractCanvases(page), {
+      canvases: ['app.js: console.log("app");'],
+      skipped: [],
+    });
+  } finally {
+    page.close();
+  }
+});
@@ -0,0 +1,114 @@
+// export.js の extractFromTab が、待ち時間を過ぎたら cancel を送って途中までの結果を受け取ることを確認する。
+const { test, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const { createGeminiPage } = require("./helpers/gemini-page");
+const { createChromeMock, loadExtensionScripts } = require("./helpers/extension");
+
+// export.js の extractFromTab を、Content Script の代わりの chrome.tabs.sendMessage と組み合わせて読み込む
+function loadExport(sendMessage) {
+  return loadExtensionScripts(["i18n.js", "export.js"], createChromeMock({ sendMessage }));
+}
+
+// 偽のタイマーを1秒ずつ進め、その間に Promise や FileReader（setImmediate）の処理を進める
+async function tickUntilSettled(promise, { maxMs = 300_000 } = {}) {
+  let settled = false;
+  promise.then(
+    () => (settled = true),
+    () => (settled = true)
+  );
+  for (let elapsed = 0; !settled && elapsed < maxMs; elapsed += 1000) {
+    mock.timers.tick(1000);
+    for (let i = 0; i < 10; i++) await new Promise((resolve) => setImmediate(resolve));
+  }
+  return promise;
+}
+
+test("a timed-out extraction is cancelled and returns the partial result", async () => {
+  mock.timers.enable({ apis: ["setTimeout"] });
+  try {
+    let finishExtraction;
+    let extractionStarted;
+    const started = new Promise((resolve) => (extractionStarted = resolve));
+    const sent = [];
+    const exporter = loadExport(async (tabId, message) => {
+      sent.push(message.type);
+      if (message.type === "ping") return { ok: true };
+      if (message.type === "cancel") {
+        finishExtraction({ markdown: "# partial", skippedCanvases: ["app.js"], cancelled: true });
+        return { ok: true };
+      }
+      extractionStarted();
+      return new Promise((resolve) => (finishExtraction = resolve));
+    });
+
+    const options = { includeCanvas: true, canvasHistory: true, loadFullHistory: true, images: "link" };
+    const pending = exporter.extractFromTab(1, options);
+    await started;
+    // 古いターンの読み込み（30秒）と Canvas（45秒）の上限までは待つ
+    const timeoutMs = exporter.getExtractionTimeout(options);
+    assert.ok(timeoutMs >= 20_000 + 30_000 + 45_000);
+    mock.timers.tick(timeoutMs - 1);
+    assert.deepEqual(sent, ["ping", "extract"]);
+    mock.timers.tick(1);
+
+    const result = await pending;
+    assert.deepEqual(sent, ["ping", "extract", "cancel"]);
+    assert.equal(result.markdown, "# partial");
+    assert.equal(result.cancelled, true);
+  } finally {
+    mock.timers.reset();
+  }
+});
+
+test("running out of time while fetching images returns the turns with the remaining images as links", async () => {
+  const IMAGE_COUNT = 12;
+  const FETCH_MS = 7000;
+  mock.timers.enable({ apis: ["setTimeout"] });
+  const urls = Array.from({ length: IMAGE_COUNT }, (_, i) => `https://lh3.googleusercontent.com/gg/upload-${i + 1}`);
+  const page = createGeminiPage(`
+    <user-query><p>画像をまとめて</p></user-query>
+    <model-response><message-content><div class="markdown">${urls
+      .map((url, i) => `<p><img src="${url}" alt="画像${i + 1}"></p>`)
+      .join("")}</div></message-content></model-response>`);
+  // 1枚ごとの上限（15秒）には収まるが、全体では画像の待ち時間を超える遅い応答
+  page.window.fetch = (url, { signal }) =>
+    new Promise((resolve, reject) => {
+      const timerId = setTimeout(
+        () =>
+          resolve({
+            ok: true,
+            status: 200,
+            blob: async () => new page.window.Blob([new Uint8Array([0x89, 0x50, 0x4e, 0x47])], { type: "image/png" }),
+          }),
+        FETCH_MS
+      );
+      signal.addEventListener("abort", () => {
+        clearTimeout(timerId);
+        reject(signal.reason);
+      });
+    });
+  try {
+    const sent = [];
+    const exporter = loadExport(async (tabId, message) => {
+      sent.push(message.type);
+      return page.sendMessage(message);
+    });
+    const options = { images: "embed", template: page.presets.headings };
+    const timeoutMs = exporter.getExtractionTimeout(options);
+    assert.ok(FETCH_MS * IMAGE_COUNT > timeoutMs);
+
+    // 猶予時間のうちに返らなければ errorTimeout で失敗する
+    const result = await tickUntilSettled(exporter.extractFromTab(1, options));
+    assert.deepEqual(sent, ["ping", "extract", "cancel"]);
+    // 時間切れまでに取得できた画像だけを埋め込み、取得中のものと残りはリンクのままにする
+    const embedded = result.markdown.match(/\]\(data:image\/png;base64,/g) ?? [];
+    assert.equal(embedded.length, Math.floor(timeoutMs / FETCH_MS));
+    assert.equal(result.failedImages, IMAGE_COUNT - embedded.length);
+    assert.match(result.markdown, new RegExp(`!\\[画像${IMAGE_COUNT}\\]\\(https://lh3\\.googleusercontent\\.com/`));
+    assert.equal(result.turnCount, 2);
+    assert.equal(result.cancelled, true);
+  } finally {
+    mock.timers.reset();
+    page.close();
+  }
+});
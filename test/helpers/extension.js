@@ -0,0 +1,85 @@
+// 拡張機能のスクリプトを、chrome API の代わりのオブジェクトと一緒に読み込む。
+// DOM に依存しないスクリプト（export.js, html-export.js など）は素の VM で、content.js は gemini-page.js の jsdom で使う。
+const fs = require("node:fs");
+const path = require("node:path");
+const vm = require("node:vm");
+
+const EXTENSION_DIR = path.join(__dirname, "..", "..", "extension");
+
+function readExtensionFile(name) {
+  return fs.readFileSync(path.join(EXTENSION_DIR, name), "utf8");
+}
+
+function readCatalog(locale) {
+  return JSON.parse(readExtensionFile(`_locales/${locale}/messages.json`));
+}
+
+// 出力言語のカタログ（i18n.js の loadOutputLabels の結果と同じ形）
+function readOutputLabels(locale = "en") {
+  return Object.fromEntries(
+    Object.entries(readCatalog(locale))
+      .filter(([key]) => key.startsWith("output"))
+      .map(([key, { message }]) => [key, message])
+  );
+}
+
+// chrome.storage の1つの領域。store を直接書き換えるので、テストから保存された値を確かめられる
+function createStorageAreaMock(store = {}) {
+  const pick = (keys) =>
+    keys === null || keys === undefined
+      ? { ...store }
+      : Object.fromEntries([keys].flat().filter((key) => key in store).map((key) => [key, store[key]]));
+  return {
+    get: async (keys) => pick(keys),
+    set: async (items) => void Object.assign(store, items),
+    remove: async (keys) => [keys].flat().forEach((key) => delete store[key]),
+    clear: async () => Object.keys(store).forEach((key) => delete store[key]),
+  };
+}
+
+// locale はブラウザの表示言語として chrome.i18n が引くカタログ（既定は manifest の default_locale）
+// storage は chrome.storage.sync に保存されている値、sendMessage は chrome.tabs.sendMessage の代わり
+// 登録されたメッセージのリスナーは runtime.onMessage.listeners に入る
+function createChromeMock({ locale = "en", storage = {}, sendMessage = async () => undefined } = {}) {
+  const messages = readCatalog(locale);
+  const listeners = [];
+  return {
+    runtime: {
+      onMessage: {
+        listeners,
+        addListener: (listener) => listeners.push(listener),
+        removeListener: (listener) => listeners.includes(listener) && listeners.splice(listeners.indexOf(listener), 1),
+      },
+      sendMessage: async () => {},
+      getManifest: () => JSON.parse(readExtensionFile("manifest.json")),
+    },
+    i18n: {
+      getMessage: (key) => messages[key]?.message ?? "",
+      getUILanguage: () => locale,
+    },
+    storage: {
+      sync: createStorageAreaMock(storage),
+      local: createStorageAreaMock(),
+    },
+    tabs: { sendMessage },
+  };
+}
+
+// names のスクリプトを順に1つの VM に読み込み、トップレベルの関数を持つコンテキストを返す。
+// タイマーは呼び出し時にこのプロセスのものを使うため、node:test の mock.timers で進められる
+function loadExtensionScripts(names, chrome = createChromeMock()) {
+  const context = vm.createContext({
+    chrome,
+    console,
+    crypto,
+    TextEncoder,
+    btoa,
+    atob,
+    setTimeout: (...args) => setTimeout(...args),
+    clearTimeout: (...args) => clearTimeout(...args),
+  });
+  for (const name of names) vm.runInContext(readExtensionFile(name), context);
+  return context;
+}
+
+module.exports = { createChromeMock, loadExtensionScripts, readExtensionFile, readOutputLabels };
@@ -0,0 +1,60 @@
+// 保存した Gemini の DOM 断片を jsdom 上に再現し、content.js を読み込んだ状態のページを作る。
+const { JSDOM } = require("jsdom");
+const { createChromeMock, readExtensionFile } = require("./extension");
+
+// locale と storage は createChromeMock（extension.js）に渡す。storage はサイトプロファイルなど
+function createGeminiPage(
+  bodyHtml,
+  { title = "Gemini - Fixture", url = "https://gemini.google.com/app/fixture", locale = "en", storage = {} } = {}
+) {
+  const dom = new JSDOM(
+    `<!DOCTYPE html><html><head><title>${title}</title></head><body><main>${bodyHtml}</main></body></html>`,
+    { url, runScripts: "outside-only", pretendToBeVisual: true }
+  );
+  const { window } = dom;
+
+  // jsdom はレイアウトを持たないため、display: none 以外の接続済み要素は見えているものとして扱う
+  window.Element.prototype.getClientRects = function getClientRects() {
+    if (!this.isConnected) return [];
+    for (let el = this; el; el = el.parentElement) {
+      if (window.getComputedStyle(el).display === "none" || el.hidden) return [];
+    }
+    return [{ top: 0, left: 0, width: 1, height: 1 }];
+  };
+  window.Element.prototype.scrollIntoView = () => {};
+  window.scrollTo = () => {};
+  // jsdom には AbortSignal.any がない（Chrome 116 以降にはある）
+  window.AbortSignal.any ??= (signals) => {
+    const controller = new window.AbortController();
+    for (const signal of signals) {
+      if (signal.aborted) return window.AbortSignal.abort(signal.reason);
+      signal.addEventListener("abort", () => controller.abort(signal.reason), { once: true });
+    }
+    return controller.signal;
+  };
+
+  window.chrome = createChromeMock({ locale, storage });
+  const { listeners } = window.chrome.runtime.onMessage;
+
+  // const 宣言は eval ごとのスコープに閉じるため、必要なものは window に載せ替える
+  window.eval(`${readExtensionFile("templates.js")}\n;window.OUTPUT_TEMPLATE_PRESETS = OUTPUT_TEMPLATE_PRESETS;`);
+  // 以降は manifest.json の content_scripts と同じ順に読み込む
+  window.eval(readExtensionFile("i18n.js"));
+  window.eval(`${readExtensionFile("site-profile.js")}\n;window.DEFAULT_SITE_PROFILE = DEFAULT_SITE_PROFILE;`);
+  window.eval(readExtensionFile("content.js"));
+
+  return {
+    window,
+    document: window.document,
+    api: window.geminiThreadToMarkdown,
+    presets: window.OUTPUT_TEMPLATE_PRESETS,
+    // 拡張機能側からのメッセージ（chrome.tabs.sendMessage）の代わりに、content.js の応答を返す
+    sendMessage: (message) =>
+      new Promise((resolve) => {
+        if (!listeners.some((listener) => listener(message, {}, resolve))) resolve(undefined);
+      }),
+    close: () => window.close(),
+  };
+}
+
+module.exports = { createGeminiPage };
@@ -0,0 +1,110 @@
+// content.js のターンモデルから html-export.js で単体の HTML を組み立てられることを確認する。
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const path = require("node:path");
+const { createGeminiPage } = require("./helpers/gemini-page");
+const { loadExtensionScripts, readOutputLabels } = require("./helpers/extension");
+
+const FIXTURES_DIR = path.join(__dirname, "fixtures");
+
+// html-export.js は DOM に依存しないため、Service Worker と同じく素の VM で読み込む
+const htmlExport = loadExtensionScripts(["i18n.js", "html-export.js"]);
+
+async function renderFixture(name, options = {}, { locale = "en" } = {}) {
+  const html = fs.readFileSync(path.join(FIXTURES_DIR, name), "utf8");
+  const page = createGeminiPage(html);
+  try {
+    const { thread } = await page.api.extractThread({
+      includeSources: true,
+      ...options,
+      template: page.presets.headings,
+    });
+    return htmlExport.renderThreadHtml(thread, readOutputLabels(locale));
+  } finally {
+    page.close();
+  }
+}
+
+test("HTML export is a single document without external requests", async () => {
+  const html = await renderFixture("sources.html");
+  assert.match(html, /^<!DOCTYPE html>/);
+  assert.match(html, /Content-Security-Policy" content="default-src 'none'/);
+  assert.doesNotMatch(html, /<script|<link|\ssrc="https?:/);
+  assert.match(html, /<article class="turn turn-user" id="turn-1">/);
+  assert.match(html, /<sup class="footnote-ref"><a href="#fn-1" id="fnref-1-1">\[1\]<\/a><\/sup>/);
+  assert.match(html, /<li id="fn-1" value="1"><a href="https:\/\/[^"]+" [^>]+>[^<]+<\/a> <a href="#fnref-1-1" class="backref">/);
+});
+
+test("HTML export gives each citation of the same source its own id", async () => {
+  // sources.html では2つ目の回答も出典1を引用している
+  const html = await renderFixture("sources.html");
+  assert.match(html, /<a href="#fn-1" id="fnref-1-2">/);
+  const ids = Array.from(html.matchAll(/\sid="([^"]+)"/g), (m) => m[1]);
+  assert.deepEqual(ids, Array.from(new Set(ids)));
+});
+
+test("HTML export uses the output language for speakers and headings", async () => {
+  const html = await renderFixture("sources.html", {}, { locale: "ja" });
+  assert.match(html, /<div class="speaker">ユーザー/);
+  assert.match(html, /<h3>出典<\/h3>/);
+  assert.doesNotMatch(html, />User<|>Sources</);
+});
+
+test("HTML export keeps math as MathML or LaTeX source", async () => {
+  const html = await renderFixture("math.html");
+  assert.match(html, /<code class="math math-inline">\$ax\^2 \+ bx \+ c = 0\$<\/code>/);
+  assert.match(html, /<div class="math math-block">\$\$\nx = \\frac/);
+  assert.match(html, /<math xmlns="http:\/\/www.w3.org\/1998\/Math\/MathML"><semantics><mrow><mi>E<\/mi>/);
+  assert.doesNotMatch(html, /katex-html|E=mc2/);
+});
+
+test("HTML export highlights code and collapses Canvas files", async () => {
+  const code = await renderFixture("code-blocks.html");
+  assert.match(code, /<pre><code class="language-python"><span class="tok-keyword">def<\/span> fib/);
+
+  const canvas = await renderFixture("canvas-open.html", { includeCanvas: true });
+  assert.match(canvas, /<details class="canvas">\n<summary>[^<]+<\/summary>\n<pre><code class="language-/);
+});
+
+test("HTML export renders document Canvases like turns", async () => {
+  const html = await renderFixture("canvas-document.html", { includeCanvas: true });
+  assert.match(html, /<summary>京都旅行の計画<\/summary>\n<div class="canvas-document">\n<h3>京都旅行の計画<\/h3>\n<p>2泊3日で<strong>紅葉<\/strong>/);
+  assert.match(html, /<h4>日程<\/h4>/);
+  assert.match(html, /<table><tbody><tr><th><p>項目<\/p><\/th>/);
+  assert.doesNotMatch(html, /language-markdown/);
+});
+
+test("htmlToSafeHtml drops scripts, event handlers and remote images", () => {
+  const page = createGeminiPage("");
+  try {
+    const el = page.document.createElement("div");
+    el.innerHTML = [
+      '<p onclick="alert(1)" class="x">Hi <a href="javascript:alert(1)">bad</a>',
+      '<a href="https://example.com/">ok</a></p>',
+      "<script>alert(1)</script>",
+      '<img src="https://example.com/a.png" alt="pic" onerror="alert(1)">',
+      "<custom-el><table><tr><td>1</td></tr></table></custom-el>",
+    ].join("");
+    const html = page.api.htmlToSafeHtml(el);
+    assert.equal(
+      html,
+      [
+        '<p>Hi bad<a href="https://example.com/" rel="noopener noreferrer">ok</a></p>',
+        '<a href="https://example.com/a.png" rel="noopener noreferrer">[pic]</a><table><tbody><tr><td>1</td></tr></tbody></table>',
+      ].join("\n")
+    );
+  } finally {
+    page.close();
+  }
+});
+
+test("highlightCode escapes HTML and leaves unknown languages plain", () => {
+  assert.equal(
+    htmlExport.highlightCode('if (a < 1) return "<b>"; // done', "js"),
+    '<span class="tok-keyword">if</span> (a &lt; <span class="tok-number">1</span>) ' +
+      '<span class="tok-keyword">return</span> <span class="tok-string">&quot;&lt;b&gt;&quot;</span>; ' +
+      '<span class="tok-comment">// done</span>'
+  );
+  assert.equal(htmlExport.highlightCode("a < b", "unknown"), "a &lt; b");
+});
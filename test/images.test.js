@@ -0,0 +1,161 @@
+// 画像の埋め込み（embed）/ アセット保存（assets）と、ZIP の書き出しを確認する。
+const { test, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const path = require("node:path");
+const { createGeminiPage } = require("./helpers/gemini-page");
+const { loadExtensionScripts } = require("./helpers/extension");
+
+const FIXTURE = fs.readFileSync(path.join(__dirname, "fixtures", "images.html"), "utf8");
+const PNG_BYTES = [0x89, 0x50, 0x4e, 0x47];
+
+// jsdom には fetch がないため、ページ側の fetch を差し替える
+// stalled の URL は応答を返さず、signal が中断されるまで待ち続ける
+function createPageWithImages({ failing = [], stalled = [], html = FIXTURE } = {}) {
+  const page = createGeminiPage(html);
+  page.fetched = [];
+  page.window.fetch = async (url, { signal } = {}) => {
+    page.fetched.push(url);
+    if (failing.includes(url)) throw new TypeError("Failed to fetch");
+    if (stalled.includes(url)) {
+      await new Promise((resolve, reject) => signal.addEventListener("abort", () => reject(signal.reason)));
+    }
+    return {
+      ok: true,
+      status: 200,
+      blob: async () => new page.window.Blob([new Uint8Array(PNG_BYTES)], { type: "image/png" }),
+    };
+  };
+  return page;
+}
+
+async function extract(page, images) {
+  return page.api.extractThread({ images, template: page.presets.headings });
+}
+
+test("embed mode inlines fetched and generated images as data URIs", async () => {
+  const page = createPageWithImages();
+  try {
+    const result = await extract(page, "embed");
+    assert.deepEqual(page.fetched, ["https://lh3.googleusercontent.com/gg/upload-123"]);
+    assert.match(result.markdown, /!\[猫の写真\]\(data:image\/png;base64,iVBORw==\)/);
+    assert.match(result.markdown, /!\[生成画像\]\(data:image\/png;base64,iVBORw0KGgo=\)/);
+    assert.doesNotMatch(result.markdown, /アイコン/);
+    assert.equal(result.assets.length, 0);
+    assert.match(result.thread.turns[1].html, /<img src="data:image\/png;base64,iVBORw==" alt="猫の写真">/);
+  } finally {
+    page.close();
+  }
+});
+
+test("assets mode rewrites links to assets/ and returns the files", async () => {
+  const page = createPageWithImages();
+  try {
+    const result = await extract(page, "assets");
+    assert.match(result.markdown, /!\[猫の写真\]\(assets\/image-001\.png\)/);
+    assert.match(result.markdown, /!\[生成画像\]\(assets\/image-002\.png\)/);
+    assert.deepEqual(
+      Array.from(result.assets, (a) => a.path),
+      ["assets/image-001.png", "assets/image-002.png"]
+    );
+    assert.equal(result.assets[1].dataUri, "data:image/png;base64,iVBORw0KGgo=");
+    assert.equal(result.failedImages, 0);
+  } finally {
+    page.close();
+  }
+});
+
+test("images that cannot be fetched keep their original URL", async () => {
+  const url = "https://lh3.googleusercontent.com/gg/upload-123";
+  const page = createPageWithImages({ failing: [url] });
+  try {
+    const result = await extract(page, "assets");
+    assert.match(result.markdown, /!\[猫の写真\]\(https:\/\/lh3\.googleusercontent\.com\/gg\/upload-123\)/);
+    assert.equal(result.failedImages, 1);
+    assert.deepEqual(Array.from(result.assets, (a) => a.path), ["assets/image-001.png"]);
+  } finally {
+    page.close();
+  }
+});
+
+test("a stalled image times out and keeps its original URL", async () => {
+  const url = "https://lh3.googleusercontent.com/gg/upload-123";
+  mock.timers.enable({ apis: ["setTimeout"] });
+  const page = createPageWithImages({ stalled: [url] });
+  try {
+    const pending = extract(page, "embed");
+    // 1枚あたりの上限（15秒）で打ち切られる。Cookie なしでの再試行もしない
+    await new Promise((resolve) => setImmediate(resolve));
+    mock.timers.tick(15_000);
+    const result = await pending;
+    assert.deepEqual(page.fetched, [url]);
+    assert.match(result.markdown, /!\[猫の写真\]\(https:\/\/lh3\.googleusercontent\.com\/gg\/upload-123\)/);
+    assert.equal(result.failedImages, 1);
+  } finally {
+    mock.timers.reset();
+    page.close();
+  }
+});
+
+test("cancelling while fetching images leaves the remaining images as links", async () => {
+  const urls = [1, 2, 3].map((n) => `https://lh3.googleusercontent.com/gg/upload-${n}`);
+  const controller = new AbortController();
+  const page = createPageWithImages({
+    stalled: [urls[1]],
+    html: `<model-response><message-content><div class="markdown">${urls
+      .map((url, i) => `<p><img src="${url}" alt="画像${i + 1}"></p>`)
+      .join("")}</div></message-content></model-response>`,
+  });
+  try {
+    // 2枚目の取得を始めたところで中断する
+    const onProgress = (p) => p.phase === "images" && p.current === 2 && setImmediate(() => controller.abort());
+    const result = await page.api.extractThread(
+      { images: "assets", template: page.presets.headings },
+      { onProgress, signal: controller.signal }
+    );
+    // 取得中の2枚目は中断し、3枚目は取得しない
+    assert.deepEqual(page.fetched, urls.slice(0, 2));
+    assert.deepEqual(Array.from(result.assets, (a) => a.path), ["assets/image-001.png"]);
+    assert.match(result.markdown, /!\[画像1\]\(assets\/image-001\.png\)/);
+    assert.match(result.markdown, /!\[画像2\]\(https:\/\/lh3\.googleusercontent\.com\/gg\/upload-2\)/);
+    assert.match(result.markdown, /!\[画像3\]\(https:\/\/lh3\.googleusercontent\.com\/gg\/upload-3\)/);
+    assert.equal(result.failedImages, 2);
+    assert.equal(result.cancelled, true);
+  } finally {
+    page.close();
+  }
+});
+
+test("createZip writes entries that can be read back", () => {
+  const zip = loadExtensionScripts(["zip.js"]);
+
+  const bytes = zip.createZip([
+    { path: "スレッド.md", data: "# タイトル\n![猫](assets/image-001.png)\n" },
+    { path: "assets/image-001.png", data: zip.dataUriToBytes("data:image/png;base64,iVBORw==") },
+  ]);
+  const buf = Buffer.from(bytes);
+
+  // 末尾の End of central directory から各エントリをたどる
+  const eocd = buf.length - 22;
+  assert.equal(buf.readUInt32LE(eocd), 0x06054b50);
+  assert.equal(buf.readUInt16LE(eocd + 10), 2);
+  let pos = buf.readUInt32LE(eocd + 16);
+  const entries = [];
+  for (let i = 0; i < 2; i++) {
+    assert.equal(buf.readUInt32LE(pos), 0x02014b50);
+    const size = buf.readUInt32LE(pos + 20);
+    const nameLength = buf.readUInt16LE(pos + 28);
+    const name = buf.subarray(pos + 46, pos + 46 + nameLength).toString("utf8");
+    const localOffset = buf.readUInt32LE(pos + 42);
+    const dataStart = localOffset + 30 + buf.readUInt16LE(localOffset + 26);
+    entries.push({ name, data: buf.subarray(dataStart, dataStart + size), crc: buf.readUInt32LE(pos + 16) });
+    pos += 46 + nameLength;
+  }
+
+  assert.deepEqual(entries.map((e) => e.name), ["スレッド.md", "assets/image-001.png"]);
+  assert.equal(entries[0].data.toString("utf8"), "# タイトル\n![猫](assets/image-001.png)\n");
+  assert.deepEqual([...entries[1].data], PNG_BYTES);
+  // "123456789" の CRC-32 は 0xCBF43926
+  assert.equal(zip.crc32(new TextEncoder().encode("123456789")), 0xcbf43926);
+  assert.equal(zip.bytesToBase64(new Uint8Array(PNG_BYTES)), "iVBORw==");
+});
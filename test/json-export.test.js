@@ -0,0 +1,74 @@
+// content.js のターンモデルから json-export.js で docs/thread.schema.json に沿った JSON を作れることを確認する。
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const path = require("node:path");
+const { createGeminiPage } = require("./helpers/gemini-page");
+const { loadExtensionScripts } = require("./helpers/extension");
+
+const FIXTURES_DIR = path.join(__dirname, "fixtures");
+const SCHEMA = JSON.parse(
+  fs.readFileSync(path.join(__dirname, "..", "docs", "thread.schema.json"), "utf8")
+);
+
+const jsonExport = loadExtensionScripts(["json-export.js"]);
+
+async function exportFixture(name, options = {}) {
+  const html = fs.readFileSync(path.join(FIXTURES_DIR, name), "utf8");
+  const page = createGeminiPage(html);
+  try {
+    const { thread } = await page.api.extractThread({
+      includeSources: true,
+      ...options,
+      template: page.presets.headings,
+    });
+    return JSON.parse(jsonExport.renderThreadJson(thread));
+  } finally {
+    page.close();
+  }
+}
+
+function assertRequiredKeys(value, def, label) {
+  for (const key of def.required) assert.ok(key in value, `${label}: missing "${key}"`);
+}
+
+test("JSON export follows the documented schema", async () => {
+  const data = await exportFixture("canvas-open.html", { includeCanvas: true });
+  assertRequiredKeys(data, SCHEMA, "thread");
+  assert.equal(data.schema, SCHEMA.properties.schema.const);
+  assert.equal(data.schemaVersion, SCHEMA.properties.schemaVersion.const);
+  assert.equal(data.url, "https://gemini.google.com/app/fixture");
+  assert.ok(!Number.isNaN(Date.parse(data.exportedAt)));
+
+  assert.deepEqual(data.turns.map((t) => t.speaker), ["user", "model"]);
+  for (const turn of data.turns) assertRequiredKeys(turn, SCHEMA.$defs.turn, `turn ${turn.index}`);
+  assert.equal(data.canvases.length, 1);
+  assertRequiredKeys(data.canvases[0], SCHEMA.$defs.canvas, "canvas");
+  assert.equal(data.canvases[0].title, "app.js");
+  assert.match(data.canvases[0].content, /^const todos = \[\];/);
+});
+
+test("JSON export separates code blocks, text and citations", async () => {
+  const code = await exportFixture("code-blocks.html");
+  const answer = code.turns[1];
+  assert.ok(answer.codeBlocks.length > 0);
+  assert.equal(answer.codeBlocks[0].language, "python");
+  assert.match(answer.codeBlocks[0].content, /^def fib/);
+  assert.match(answer.markdown, /```python\ndef fib/);
+  assert.match(answer.text, /^以下は fib 関数の例です。\ndef fib\(n\):/);
+
+  const sources = await exportFixture("sources.html");
+  const cited = sources.turns[1];
+  assert.match(cited.markdown, /\[\^1\]/);
+  assert.deepEqual(
+    cited.citations.map((c) => c.number),
+    Array.from({ length: cited.citations.length }, (_, i) => i + 1)
+  );
+  assert.ok(cited.citations.every((c) => c.url.startsWith("https://")));
+  assert.doesNotMatch(cited.text, /\[\^\d+\]/);
+
+  // 2つ目の回答は前のターンで引用済みの出典1を引用している
+  const later = sources.turns[3];
+  assert.match(later.markdown, /\[\^1\]/);
+  assert.deepEqual(later.citations, [cited.citations[0]]);
+});
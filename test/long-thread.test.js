@@ -0,0 +1,89 @@
+// 長いスレッドで、上端へのスクロールで遅延読み込みされる古いターンを読み込んでから抽出することを確認する。
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { createGeminiPage } = require("./helpers/gemini-page");
+
+const TURN_HEIGHT = 100;
+
+function turnPair(n) {
+  return `
+    <user-query><p>質問${n}</p></user-query>
+    <model-response><message-content><div class="markdown"><p>回答${n}</p></div></message-content></model-response>`;
+}
+
+// 上端までスクロールされるたびに古いターンを1往復ずつ先頭に足す（olderPairs 回まで）
+function createLongThreadPage({ olderPairs, onLoad = () => {} }) {
+  const page = createGeminiPage(`<infinite-scroller>${turnPair(olderPairs + 1)}${turnPair(olderPairs + 2)}</infinite-scroller>`);
+  const scroller = page.document.querySelector("infinite-scroller");
+  const countTurns = () => scroller.querySelectorAll("user-query, model-response").length;
+  Object.defineProperty(scroller, "scrollHeight", { get: () => countTurns() * TURN_HEIGHT });
+  Object.defineProperty(scroller, "clientHeight", { get: () => TURN_HEIGHT });
+  scroller.scrollTop = scroller.scrollHeight - TURN_HEIGHT;
+
+  let remaining = olderPairs;
+  let loading = false;
+  scroller.addEventListener("scroll", () => {
+    if (scroller.scrollTop !== 0 || remaining === 0 || loading) return;
+    loading = true;
+    page.window.setTimeout(() => {
+      scroller.insertAdjacentHTML("afterbegin", turnPair(remaining--));
+      loading = false;
+      onLoad(remaining);
+    }, 50);
+  });
+  return { page, scroller };
+}
+
+test("older turns are loaded before extracting", async () => {
+  const { page, scroller } = createLongThreadPage({ olderPairs: 3 });
+  const progress = [];
+  try {
+    const result = await page.api.extractThread(
+      { loadFullHistory: true, template: page.presets.chatlog },
+      { onProgress: (p) => p.phase === "history" && progress.push(p.current) }
+    );
+    assert.equal(result.turnCount, 10);
+    assert.equal(result.historyComplete, true);
+    assert.deepEqual(
+      result.markdown.match(/質問\d/g),
+      ["質問1", "質問2", "質問3", "質問4", "質問5"]
+    );
+    assert.deepEqual(progress, [4, 6, 8, 10]);
+    // 読み込み前と同じく、最下部を表示した状態に戻す
+    assert.equal(scroller.scrollTop, scroller.scrollHeight - TURN_HEIGHT);
+  } finally {
+    page.close();
+  }
+});
+
+test("cancelling while loading older turns warns that the export is incomplete", async () => {
+  const controller = new AbortController();
+  const { page } = createLongThreadPage({
+    olderPairs: 3,
+    onLoad: (remaining) => remaining === 2 && controller.abort(),
+  });
+  try {
+    const result = await page.api.extractThread(
+      { loadFullHistory: true, template: page.presets.chatlog },
+      { signal: controller.signal }
+    );
+    assert.equal(result.turnCount, 6);
+    assert.equal(result.historyComplete, false);
+    assert.match(
+      result.markdown,
+      /^# Fixture\n\n> \[!WARNING\]\n> \*\*Older turns may be missing\.\*\* Loading the full history did not finish; 6 turns were exported\./
+    );
+  } finally {
+    page.close();
+  }
+});
+
+test("turn list loads older turns so indices match the extraction", async () => {
+  const { page } = createLongThreadPage({ olderPairs: 1 });
+  try {
+    const turns = await page.api.listTurns({ loadFullHistory: true });
+    assert.deepEqual(Array.from(turns, (t) => t.preview), ["質問1", "回答1", "質問2", "回答2", "質問3", "回答3"]);
+  } finally {
+    page.close();
+  }
+});
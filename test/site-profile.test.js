@@ -0,0 +1,121 @@
+// サイトプロファイル: 編集したセレクタでターンを探せること、設定ページからの試行とプロファイルの読み書きを確認する。
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { createGeminiPage } = require("./helpers/gemini-page");
+const { createChromeMock, loadExtensionScripts } = require("./helpers/extension");
+
+// Gemini の DOM が変わり、既定のセレクタではターンが見つからなくなった想定
+const CHANGED_DOM = `
+  <chat-turn data-author="human"><div class="bubble"><p>質問です</p></div></chat-turn>
+  <chat-turn data-author="bot"><div class="bubble"><p>回答です</p></div></chat-turn>
+`;
+
+const CHANGED_SELECTORS = {
+  userTurn: ["user-query", 'chat-turn[data-author="human"]'],
+  modelTurn: ["model-response", 'chat-turn[data-author="bot"]'],
+  turnContainer: ["[role=listitem]"],
+  content: ["[[invalid", ".bubble"],
+};
+
+test("edited selectors find turns the default profile misses, skipping invalid ones", () => {
+  const page = createGeminiPage(CHANGED_DOM);
+  try {
+    const main = page.document.querySelector("main");
+    assert.equal(page.api.collectConversationNodes(main).length, 0);
+
+    const nodes = page.api.collectConversationNodes(main, CHANGED_SELECTORS);
+    assert.deepEqual(
+      Array.from(nodes, (n) => page.api.getSpeaker(n, CHANGED_SELECTORS)),
+      ["User", "Gemini"]
+    );
+    assert.deepEqual(
+      Array.from(nodes, (n) => page.api.getBestContentNode(n, CHANGED_SELECTORS).className),
+      ["bubble", "bubble"]
+    );
+  } finally {
+    page.close();
+  }
+});
+
+test("testing a profile reports matches per selector and outlines the turns", () => {
+  const page = createGeminiPage(CHANGED_DOM);
+  try {
+    const result = page.api.testSiteProfile({ selectors: CHANGED_SELECTORS });
+    assert.deepEqual(JSON.parse(JSON.stringify(result)), {
+      counts: {
+        userTurn: [
+          { selector: "user-query", count: 0 },
+          { selector: 'chat-turn[data-author="human"]', count: 1 },
+        ],
+        modelTurn: [
+          { selector: "model-response", count: 0 },
+          { selector: 'chat-turn[data-author="bot"]', count: 1 },
+        ],
+        turnContainer: [{ selector: "[role=listitem]", count: 0 }],
+        content: [
+          { selector: "[[invalid", count: 0, invalid: true },
+          { selector: ".bubble", count: 2 },
+        ],
+      },
+      turns: 2,
+      users: 1,
+      models: 1,
+    });
+    const highlighted = () =>
+      Array.from(page.document.querySelectorAll("[data-gemini-thread-to-markdown-highlight]"), (el) =>
+        el.getAttribute("data-gemini-thread-to-markdown-highlight")
+      );
+    assert.deepEqual(highlighted(), ["User", "content", "Gemini", "content"]);
+
+    page.api.clearSelectorHighlights();
+    assert.deepEqual(highlighted(), []);
+    assert.equal(page.document.getElementById("gemini-thread-to-markdown-highlight"), null);
+  } finally {
+    page.close();
+  }
+});
+
+test("site profiles survive export and import, and broken lists fall back to the defaults", () => {
+  const siteProfile = loadExtensionScripts(["i18n.js", "site-profile.js"]);
+  const imported = siteProfile.parseSiteProfileJson(
+    siteProfile.serializeSiteProfile({ name: " 社内用 ", selectors: CHANGED_SELECTORS })
+  );
+  assert.equal(imported.version, 1);
+  assert.equal(imported.name, "社内用");
+  assert.deepEqual(JSON.parse(JSON.stringify(imported.selectors)), CHANGED_SELECTORS);
+
+  const normalized = siteProfile.normalizeSiteProfile({
+    selectors: { userTurn: ["  ", 3], content: [".a", ".a", " .b "] },
+  });
+  assert.deepEqual(Array.from(normalized.selectors.userTurn), [
+    "user-query",
+    '[data-test-id="user-query"]',
+    '[data-message-role="user"]',
+    '[data-message-author="user"]',
+  ]);
+  assert.deepEqual(Array.from(normalized.selectors.content), [".a", ".b"]);
+
+  assert.throws(
+    () => siteProfile.parseSiteProfileJson(JSON.stringify({ siteProfile: { version: 2, selectors: {} } })),
+    /exported by a newer version/
+  );
+  assert.throws(() => siteProfile.parseSiteProfileJson("{}"), /invalid format/);
+});
+
+test("resetting the settings keeps a saved site profile", async () => {
+  const store = {};
+  const context = loadExtensionScripts(
+    ["i18n.js", "templates.js", "settings.js", "site-profile.js"],
+    createChromeMock({ storage: store })
+  );
+
+  await context.saveSiteProfile({ name: "社内用", selectors: CHANGED_SELECTORS });
+  await context.saveSettings({ tags: "gemini" });
+  const settings = await context.resetSettings();
+
+  assert.equal(settings.tags, "");
+  assert.equal(store.tags, "");
+  const profile = await context.loadSiteProfile();
+  assert.equal(profile.name, "社内用");
+  assert.deepEqual(JSON.parse(JSON.stringify(profile.selectors)), CHANGED_SELECTORS);
+});